@@ -0,0 +1,32 @@
+import * as chains from "viem/chains";
+import { gnosis, sepolia } from "viem/chains";
+
+// PortalRegistry deployments by chain id
+const PORTAL_REGISTRIES = {
+  [gnosis.id]: "0x945690a516519daEE95834C05218839c8deEC88D",
+  [sepolia.id]: "0x8D9E28AC21D823ddE63fbf20FAD8EdD4F4a0cCfD",
+};
+
+// Accepts a viem chain object, the name of a viem/chains export (e.g.
+// "gnosis", "anvil"), a chain name or a chain id
+const resolveChain = (chain) => {
+  if (typeof chain === "object" && chain.id) {
+    return chain;
+  }
+  const key = String(chain);
+  const resolved =
+    chains[key] ||
+    Object.values(chains).find(
+      (candidate) =>
+        candidate?.id === Number(key) ||
+        candidate?.name?.toLowerCase() === key.toLowerCase()
+    );
+  if (!resolved) {
+    throw new Error(`Unknown chain: ${chain}`);
+  }
+  return resolved;
+};
+
+const getPortalRegistry = (chain) => PORTAL_REGISTRIES[chain.id];
+
+export { PORTAL_REGISTRIES, resolveChain, getPortalRegistry };
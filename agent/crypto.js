@@ -0,0 +1,111 @@
+import {
+  constants,
+  createCipheriv,
+  createDecipheriv,
+  createPrivateKey,
+  createPublicKey,
+  privateDecrypt,
+  publicEncrypt,
+  randomBytes,
+} from "crypto";
+
+const FILE_TYPE = {
+  PUBLIC: 0,
+  PRIVATE: 1,
+};
+
+const GATE_VERSION = 1;
+const CIPHER_ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+const importPublicKey = (base64Key) =>
+  createPublicKey({
+    key: Buffer.from(base64Key, "base64"),
+    format: "der",
+    type: "spki",
+  });
+
+const importPrivateKey = (base64Key) =>
+  createPrivateKey({
+    key: Buffer.from(base64Key, "base64"),
+    format: "der",
+    type: "pkcs8",
+  });
+
+const rsaEncrypt = (base64PublicKey, data) =>
+  publicEncrypt(
+    {
+      key: importPublicKey(base64PublicKey),
+      padding: constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: "sha256",
+    },
+    data
+  ).toString("base64");
+
+const rsaDecrypt = (base64PrivateKey, data) =>
+  privateDecrypt(
+    {
+      key: importPrivateKey(base64PrivateKey),
+      padding: constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: "sha256",
+    },
+    Buffer.from(data, "base64")
+  );
+
+const generateFileKey = () => randomBytes(32);
+
+// Encrypted payloads are stored as base64 text (iv | authTag | ciphertext) so
+// that every storage provider can round-trip them as plain text.
+const encryptWithFileKey = (fileKey, content) => {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(CIPHER_ALGORITHM, fileKey, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(typeof content === "string" ? Buffer.from(content) : content),
+    cipher.final(),
+  ]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+    "base64"
+  );
+};
+
+const decryptWithFileKey = (fileKey, payload) => {
+  const buffer = Buffer.from(payload, "base64");
+  const iv = buffer.subarray(0, IV_LENGTH);
+  const authTag = buffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const ciphertext = buffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+  const decipher = createDecipheriv(CIPHER_ALGORITHM, fileKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// The gate holds the per-file key locked with the portal and member RSA keys,
+// so that holders of either decryption key can open the file.
+const createGate = (fileKey, portalKeys) => ({
+  version: GATE_VERSION,
+  algorithm: CIPHER_ALGORITHM,
+  portalLock: rsaEncrypt(portalKeys.portalEncryptionKey, fileKey),
+  memberLock: rsaEncrypt(portalKeys.memberEncryptionKey, fileKey),
+});
+
+const openGate = (gate, portalKeys) => {
+  if (!gate || gate.algorithm !== CIPHER_ALGORITHM) {
+    throw new Error("Unsupported file gate");
+  }
+  if (portalKeys.portalDecryptionKey) {
+    return rsaDecrypt(portalKeys.portalDecryptionKey, gate.portalLock);
+  }
+  if (portalKeys.memberDecryptionKey) {
+    return rsaDecrypt(portalKeys.memberDecryptionKey, gate.memberLock);
+  }
+  throw new Error("No decryption key available for file gate");
+};
+
+export {
+  FILE_TYPE,
+  generateFileKey,
+  encryptWithFileKey,
+  decryptWithFileKey,
+  createGate,
+  openGate,
+};
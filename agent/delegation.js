@@ -0,0 +1,159 @@
+import * as ucans from "@ucans/ucans";
+import { computeRawCid } from "../storage/utils.js";
+
+// Abilities on a portal's files, as `file/<ABILITY>` on `storage:<portal>`
+const ABILITIES = {
+  create: "CREATE",
+  edit: "EDIT",
+  view: "VIEW",
+};
+
+const DEFAULT_LIFETIME = 24 * 60 * 60;
+
+const toAbility = (name) => {
+  const ability = ABILITIES[name] || Object.values(ABILITIES).find(
+    (value) => value === name
+  );
+  if (!ability) {
+    throw new Error(
+      `Unknown ability ${name} - options: ${Object.keys(ABILITIES).join(", ")}`
+    );
+  }
+  return ability;
+};
+
+const toCapability = (portalAddress, ability) => ({
+  with: { scheme: "storage", hierPart: `${portalAddress}` },
+  can: { namespace: "file", segments: [toAbility(ability)] },
+});
+
+// Builds and encodes a UCAN. With proofs, the issuer re-delegates what it
+// was delegated: expiry is capped at the earliest expiry of the proofs.
+const issueDelegation = async ({
+  issuer,
+  audience,
+  portalAddress,
+  can,
+  lifetimeInSeconds = DEFAULT_LIFETIME,
+  expiration,
+  notBefore,
+  proofs = [],
+}) => {
+  const proofExpiration = Math.min(
+    ...proofs.map((proof) => ucans.parse(proof).payload.exp)
+  );
+  const ucan = await ucans.build({
+    issuer,
+    audience,
+    capabilities: [can].flat().map((ability) =>
+      toCapability(portalAddress, ability)
+    ),
+    expiration: Math.min(
+      expiration || Math.floor(Date.now() / 1000) + lifetimeInSeconds,
+      proofExpiration
+    ),
+    notBefore,
+    proofs,
+  });
+  return ucans.encode(ucan);
+};
+
+// Abilities a UCAN claims on a portal's files, whether or not they verify
+const getDelegatedAbilities = (token, portalAddress) =>
+  ucans
+    .parse(token)
+    .payload.att.filter(
+      (capability) =>
+        capability.with.scheme === "storage" &&
+        capability.with.hierPart === `${portalAddress}` &&
+        capability.can.namespace === "file"
+    )
+    .map((capability) => capability.can.segments[0]);
+
+// Content identifier of an encoded UCAN, as used by revocation records
+const getDelegationId = (token) => computeRawCid(Buffer.from(token));
+
+// A revocation record signed by an issuer in the UCAN's proof chain
+const createRevocation = async (keypair, token) => {
+  const revoke = getDelegationId(token);
+  const challenge = await keypair.sign(
+    new TextEncoder().encode(`REVOKE:${revoke}`)
+  );
+  return {
+    iss: keypair.did(),
+    revoke,
+    challenge: Buffer.from(challenge).toString("base64url"),
+  };
+};
+
+const verifyRevocation = async ({ iss, revoke, challenge }) =>
+  ucans.ed25519Plugin.verifySignature(
+    iss,
+    new TextEncoder().encode(`REVOKE:${revoke}`),
+    Buffer.from(challenge, "base64url")
+  );
+
+// Checks that a UCAN grants every ability on the portal, through a valid
+// proof chain rooted at one of rootIssuers. A UCAN in the chain is revoked
+// when one of the revocations was signed by its issuer or a root issuer.
+const verifyDelegation = async (
+  token,
+  { audience, portalAddress, can, rootIssuers, revocations = [] }
+) => {
+  const revokedBy = new Map();
+  for (const revocation of revocations) {
+    if (await verifyRevocation(revocation)) {
+      revokedBy.set(revocation.revoke, [
+        ...(revokedBy.get(revocation.revoke) || []),
+        revocation.iss,
+      ]);
+    }
+  }
+  const isRevoked = async (ucan) =>
+    (revokedBy.get(getDelegationId(ucans.encode(ucan))) || []).some(
+      (issuer) => issuer === ucan.payload.iss || rootIssuers.includes(issuer)
+    );
+
+  for (const ability of [can].flat()) {
+    const errors = [];
+    const capability = toCapability(portalAddress, ability);
+    let granted = false;
+    for (const rootIssuer of rootIssuers) {
+      const result = await ucans.verify(token, {
+        audience,
+        requiredCapabilities: [{ capability, rootIssuer }],
+        isRevoked,
+      });
+      if (result.ok) {
+        granted = true;
+        break;
+      }
+      errors.push(...result.error);
+    }
+    if (!granted) {
+      return {
+        valid: false,
+        errors: [...new Set(errors.map((error) => error.message))],
+      };
+    }
+  }
+  const { payload } = ucans.parse(token);
+  return {
+    valid: true,
+    issuer: payload.iss,
+    audience: payload.aud,
+    expiresAt: payload.exp,
+    capabilities: payload.att,
+  };
+};
+
+export {
+  ABILITIES,
+  toCapability,
+  issueDelegation,
+  getDelegatedAbilities,
+  getDelegationId,
+  createRevocation,
+  verifyRevocation,
+  verifyDelegation,
+};
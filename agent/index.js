@@ -1,94 +1,197 @@
 import {
+  ContractFunctionRevertedError,
   createPublicClient,
   createWalletClient,
+  fallback,
   http,
   parseEventLogs,
 } from "viem";
-import { gnosis, sepolia } from "viem/chains";
+import { resolveChain, getPortalRegistry } from "./chains.js";
 import { PortalRegistryABI, PortalABI } from "../abi/index.js";
-import { generatePortalKeys, getPortalKeyVerifiers } from "./keys.js";
-import { createPimlicoClient } from "permissionless/clients/pimlico";
-import { toSafeSmartAccount } from "permissionless/accounts";
-import { entryPoint07Address } from "viem/account-abstraction"
-import { createSmartAccountClient } from "permissionless";
-import fs from "fs";
+import * as ucans from "@ucans/ucans";
+import {
+  generatePortalKeys,
+  generateRandomUcanEdKeyPair,
+  getPortalKeyVerifiers,
+} from "./keys.js";
+import {
+  issueDelegation,
+  getDelegatedAbilities,
+  verifyDelegation,
+  createRevocation,
+} from "./delegation.js";
+import {
+  FILE_TYPE,
+  generateFileKey,
+  encryptWithFileKey,
+  decryptWithFileKey,
+  createGate,
+  openGate,
+} from "./crypto.js";
+import {
+  toBuffer,
+  getContentType,
+  isTextContentType,
+  sha256,
+} from "../storage/utils.js";
+import { StorageError, IntegrityError } from "../storage/errors.js";
+import { TransactionError } from "../transactions/errors.js";
+import { DEFAULT_RETRY_OPTIONS, withRetry } from "./retry.js";
+import {
+  createMetadata,
+  normalizeMetadata,
+  createPortalMetadata,
+  normalizePortalMetadata,
+} from "./metadata.js";
+import { FileSystemCredentialStore } from "../credentials/index.js";
+import { searchRecords } from "../search/index.js";
+import { PimlicoTransactionBackend } from "../transactions/index.js";
+
+// Head of the Portal's collaborator linked list, as in Safe's OwnerManager
+const SENTINEL_COLLABORATOR = "0x0000000000000000000000000000000000000001";
+
+// Portal events yielded by watchPortalEvents unless others are asked for
+const WATCHED_EVENTS = [
+  "AddedFile",
+  "EditedFile",
+  "AddedCollaborator",
+  "RemovedCollaborator",
+  "UpdatedPortalMetadata",
+];
 
 class Agent {
   DELETED_HASH = "deleted";
-  constructor({ chain, viemAccount, pimlicoAPIKey, storageProvider }) {
+  constructor({
+    chain,
+    viemAccount,
+    pimlicoAPIKey,
+    storageProvider,
+    credentialStore,
+    transactionBackend,
+    rpcUrl,
+    portalRegistry,
+    verifyIntegrity = true,
+    retry = {},
+    indexStore,
+  }) {
     if (!chain) {
       throw new Error("Chain is required - options: gnosis, sepolia");
     }
-    if (!pimlicoAPIKey) {
-      throw new Error("Pimlico API key is required");
+    if (!pimlicoAPIKey && !transactionBackend) {
+      throw new Error("Pimlico API key or transaction backend is required");
     }
     if (!storageProvider) {
       throw new Error("Storage provider is required");
     }
-    this.chain =
-      chain === "gnosis" || chain?.name?.toLowerCase() === "gnosis"
-        ? gnosis
-        : sepolia;
+    this.chain = resolveChain(chain);
+    // A list of RPC URLs is used as fallback transports, in order
+    this.rpcUrls = [rpcUrl].flat().filter(Boolean);
     this.pimlicoAPIKey = pimlicoAPIKey;
+    this.transactionBackend =
+      transactionBackend || new PimlicoTransactionBackend({ pimlicoAPIKey });
     this.storageProvider = storageProvider;
+    this.verifyIntegrity = verifyIntegrity;
+    // Storage calls, user operation submissions and receipts are retried
+    // with exponential backoff: { retries, delay, maxDelay, timeout,
+    // receiptTimeout }, delays and timeouts in milliseconds
+    this.retry = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+    // Portal keys and secrets default to plaintext files in creds/
+    this.credentialStore = credentialStore || new FileSystemCredentialStore();
+    // Optional local index of the portal's files, see syncIndex
+    this.indexStore = indexStore;
     this.viemAccount = viemAccount;
     const clients = this.genrateClients();
     this.publicClient = clients.publicClient;
     this.walletClient = clients.walletClient;
-    this.portalRegistry = this.setPortalRegistry();
+    this.portalRegistry = this.setPortalRegistry(portalRegistry);
     this.owner = this.viemAccount.address;
   }
 
+  // Sets up the account portals are written from: a Safe smart account for
+  // the bundler backends, the viem account itself for EOATransactionBackend
   async setupSafe() {
-    const pimlicoRpcUrl = `https://api.pimlico.io/v2/${this.chain.name.toLowerCase()}/rpc?apikey=${this.pimlicoAPIKey}`;
-    const paymasterClient = createPimlicoClient({
-      transport: http(pimlicoRpcUrl),
-      entryPoint: {
-        address: entryPoint07Address,
-        version: "0.7",
-      },
-    });
-    this.safeAccount = await toSafeSmartAccount({
-      client: this.publicClient,
-      entryPoint: {
-        address: entryPoint07Address,
-        version: "0.7",
-      },
-      owners: [this.viemAccount],
-      version: "1.4.1",
-    });
-    const smartAccountClient = createSmartAccountClient({
-      account: this.safeAccount,
-      chain: this.chain,
-      paymaster: paymasterClient,
-      bundlerTransport: http(pimlicoRpcUrl),
-      userOperation: {
-        estimateFeesPerGas: async () => (await paymasterClient.getUserOperationGasPrice()).fast,
-      },
-    });
-    this.smartAccountClient = smartAccountClient;
+    this.safeAccount = await this.transactionBackend.setup(this);
+    this.smartAccountClient = this.transactionBackend.smartAccountClient;
+  }
+
+  async withRetry(operation, options = {}) {
+    return withRetry(operation, { ...this.retry, ...options });
+  }
+
+  async sendTransaction(calls) {
+    try {
+      return await this.transactionBackend.sendCalls(calls);
+    } catch (error) {
+      const functionNames = calls.map((call) => call.functionName).join(", ");
+      const { hash, receipt, included } =
+        error instanceof TransactionError ? error : {};
+      throw new TransactionError(`Sending ${functionNames} failed`, {
+        hash,
+        receipt,
+        included,
+        cause: error,
+      });
+    }
+  }
+
+  // Waiting is retried: a receipt can be fetched again without side effects
+  async waitForTransaction(hash) {
+    let receipt;
+    try {
+      receipt = await this.withRetry(
+        () => this.transactionBackend.waitForReceipt(hash),
+        {
+          timeout: this.retry.receiptTimeout,
+          label: `Waiting for ${hash}`,
+        }
+      );
+    } catch (error) {
+      throw new TransactionError(`No receipt received for ${hash}`, {
+        hash,
+        cause: error,
+      });
+    }
+    if (receipt.success === false) {
+      throw new TransactionError(`Transaction ${hash} reverted`, {
+        hash,
+        receipt,
+      });
+    }
+    return receipt;
+  }
+
+  createTransport() {
+    if (this.rpcUrls.length === 0) {
+      return http();
+    }
+    if (this.rpcUrls.length === 1) {
+      return http(this.rpcUrls[0]);
+    }
+    return fallback(this.rpcUrls.map((url) => http(url)));
   }
 
   genrateClients() {
     return {
       publicClient: createPublicClient({
         chain: this.chain,
-        transport: http(),
+        transport: this.createTransport(),
       }),
       walletClient: createWalletClient({
         chain: this.chain,
-        transport: http(),
+        transport: this.createTransport(),
         account: this.viemAccount,
       }),
     };
   }
 
-  setPortalRegistry() {
-    if (this.chain.name.toLowerCase() === "gnosis") {
-      return "0x945690a516519daEE95834C05218839c8deEC88D";
-    } else {
-      return "0x8D9E28AC21D823ddE63fbf20FAD8EdD4F4a0cCfD";
+  setPortalRegistry(portalRegistry) {
+    const address = portalRegistry || getPortalRegistry(this.chain);
+    if (!address) {
+      throw new Error(
+        `PortalRegistry address is required for chain ${this.chain.name} (${this.chain.id})`
+      );
     }
+    return address;
   }
 
   async getBlockNumber() {
@@ -96,58 +199,66 @@ class Agent {
   }
 
   async loadStorage(namespace) {
-    if (!fs.existsSync("creds")) {
-      fs.mkdirSync("creds");
-    }
-    if (!fs.existsSync(`creds/${namespace}.json`)) {
-      return null;
-    }
-    const storage = fs.readFileSync(`creds/${namespace}.json`, "utf8");
-    return JSON.parse(storage);
+    return this.credentialStore.load(namespace);
   }
 
-  async setupStorage(namespace) {
+  // Loads the portal of a namespace from the credential store, recovers it
+  // from the PortalRegistry if the credentials were lost, or mints a new one.
+  // options.portalKeys are imported when recovering an existing portal.
+  async setupStorage(namespace, options = {}) {
     if (!namespace) {
       throw new Error("Namespace is required");
     }
+    const { portalKeys: importedKeys, recover = true, profile = {} } = options;
     this.namespace = `${namespace}-${this.chain.name.toLowerCase()}`;
+    // Whether this call re-attached to a portal found in the registry, for
+    // callers to report (without imported keys, portal.portalKeys is unset)
+    this.recovered = false;
     await this.setupSafe();
     try {
       const storage = await this.loadStorage(this.namespace);
       if (storage && storage.namespace === this.namespace) {
         console.log("Storage already exists");
-        this.portal = storage;
+        this.portal = await this.withDeploymentBlock(storage);
+        if (this.portal !== storage) {
+          await this.credentialStore.save(this.namespace, this.portal);
+        }
         return storage.portalAddress;
       }
+      if (recover) {
+        const portalAddress = await this.recoverPortal(this.namespace, {
+          portalKeys: importedKeys,
+        });
+        if (portalAddress) {
+          this.recovered = true;
+          return portalAddress;
+        }
+      }
+      // The profile of a new portal, see updatePortalMetadata
       const metadataIPFSHash = await this.uploadToStorage(
         "metadata.json",
-        JSON.stringify({
-          namespace: this.namespace,
-          source: "FileverseAgent",
-          gateway: this.pinataGateway,
-        })
+        JSON.stringify(
+          createPortalMetadata({ ...profile, namespace: this.namespace })
+        ),
+        { contentType: "application/json" }
       );
       const portalKeys = await generatePortalKeys();
-      const verifiers = await getPortalKeyVerifiers(portalKeys);
-      const hash = await this.smartAccountClient.sendUserOperation({
-        calls: [{
-          to: this.portalRegistry,
-          abi: PortalRegistryABI,
-          functionName: "mint",
-          args: [
-            metadataIPFSHash,
-            portalKeys.viewDID,
-            portalKeys.editDID,
-            verifiers.portalEncryptionKeyVerifier,
-            verifiers.portalDecryptionKeyVerifier,
-            verifiers.memberEncryptionKeyVerifer,
-            verifiers.memberDecryptionKeyVerifer,
-          ],  
-        }]
-      });
-      const receipt = await this.smartAccountClient.waitForUserOperationReceipt({
-        hash,
-      });
+      const verifiers = getPortalKeyVerifiers(portalKeys);
+      const hash = await this.sendTransaction([{
+        to: this.portalRegistry,
+        abi: PortalRegistryABI,
+        functionName: "mint",
+        args: [
+          metadataIPFSHash,
+          portalKeys.viewDID,
+          portalKeys.editDID,
+          verifiers.portalEncryptionKeyVerifier,
+          verifiers.portalDecryptionKeyVerifier,
+          verifiers.memberEncryptionKeyVerifer,
+          verifiers.memberDecryptionKeyVerifer,
+        ],
+      }]);
+      const receipt = await this.waitForTransaction(hash);
 
       const logs = parseEventLogs({
         abi: PortalRegistryABI,
@@ -164,6 +275,7 @@ class Agent {
         owner: this.owner,
         namespace: this.namespace,
         metadataIPFSHash,
+        deploymentBlock: Number(receipt.receipt.blockNumber),
         portalKeys,
         verifiers,
       };
@@ -171,10 +283,8 @@ class Agent {
       // Set portal data
       this.portal = portalData;
       
-      fs.writeFileSync(
-        `creds/${this.namespace}.json`,
-        JSON.stringify(portalData, null, 2)
-      );
+      await this.credentialStore.save(this.namespace, portalData);
+      await this.recordReplicas([metadataIPFSHash]);
       return portalAddress;
     } catch (error) {
       console.error("Error deploying portal:", error);
@@ -186,179 +296,2021 @@ class Agent {
     return this.portal;
   }
 
-  async prechecks() {
-    if (!this.safeAccount) {
-      throw new Error("Storage not setup yet!");
-    }
-    if (!this.portal || !this.portal.portalAddress) {
-      throw new Error("Portal not found!");
-    }
+  async readPortalMetadata(portalAddress = this.portal?.portalAddress) {
+    const metadataIPFSHash = await this.publicClient.readContract({
+      address: portalAddress,
+      abi: PortalABI,
+      functionName: "metadataIPFSHash",
+    });
+    return {
+      metadataIPFSHash,
+      metadata: normalizePortalMetadata(
+        this.parseMetadata(await this.downloadFromStorage(metadataIPFSHash))
+      ),
+    };
   }
 
-  async uploadToStorage(fileName, content) {
-    return this.storageProvider.upload(fileName, content);
+  // Updates the portal's profile: name, description, avatar (URL or
+  // storage reference), capabilities, links and custom fields. Fields that
+  // aren't passed are kept, null clears them, and the namespace is never
+  // changed as recovery finds portals by it. The previous metadata is
+  // unpinned once the update is included, unless keepPrevious is set.
+  async updatePortalMetadata(fields = {}, { keepPrevious = false } = {}) {
+    await this.prechecks();
+    const portalAddress = this.portal.portalAddress;
+    const { metadataIPFSHash: previousHash, metadata: previous } =
+      await this.readPortalMetadata(portalAddress);
+    const metadata = createPortalMetadata(
+      { ...fields, namespace: previous?.namespace || this.portal.namespace },
+      previous
+    );
+    const metadataIPFSHash = await this.uploadToStorage(
+      "metadata.json",
+      JSON.stringify(metadata),
+      { contentType: "application/json" }
+    );
+    const { hash } = await this.sendFileCalls(
+      [
+        {
+          to: portalAddress,
+          abi: PortalABI,
+          functionName: "updateMetadata",
+          args: [metadataIPFSHash],
+        },
+      ],
+      [{ metadataIpfsHash: metadataIPFSHash }]
+    );
+    if (!keepPrevious && previousHash !== metadataIPFSHash) {
+      await this.unpinReferences([previousHash]);
+    }
+    this.portal = { ...this.portal, metadataIPFSHash };
+    await this.credentialStore.save(this.namespace, this.portal);
+    return { hash, portalAddress, metadataIPFSHash, metadata };
   }
 
-  async create(output) {
-    await this.prechecks();
-    const contentIpfsHash = await this.uploadToStorage('output.md', output);
+  // Lists the portals the agent's Safe owns in the PortalRegistry
+  async getOwnedPortals(options = {}) {
+    const { withMetadata = true, resultsPerPage = 20 } = options;
+    const owner = await this.getSafeAddress();
+    const balance = Number(
+      await this.publicClient.readContract({
+        address: this.portalRegistry,
+        abi: PortalRegistryABI,
+        functionName: "balancesOf",
+        args: [owner],
+      })
+    );
+    const readPage = (page) =>
+      this.publicClient.readContract({
+        address: this.portalRegistry,
+        abi: PortalRegistryABI,
+        functionName: "ownedPortal",
+        args: [owner, BigInt(resultsPerPage), BigInt(page)],
+      });
 
-    const metadata = {
-      name: `${this.portal.portalAddress}/${this.namespace}/output.md`,
-      description: "Markdown file created by FileverseAgent",
-    };
-    const metadataIpfsHash = await this.uploadToStorage(
-      'metadata.json',
-      JSON.stringify(metadata)
+    // Registry deployments count pages from 1, where page 0 reverts. Other
+    // errors (RPC, network) are not a sign of the page numbering.
+    let page = 0;
+    let results;
+    try {
+      results = await readPage(page);
+    } catch (error) {
+      const reverted =
+        typeof error.walk === "function" &&
+        error.walk((cause) => cause instanceof ContractFunctionRevertedError);
+      if (!reverted) {
+        throw error;
+      }
+      page = 1;
+      results = await readPage(page);
+    }
+    const portals = [...results];
+    while (results.length > 0 && portals.length < balance) {
+      page++;
+      results = await readPage(page);
+      portals.push(...results);
+    }
+
+    return Promise.all(
+      portals.map(async ({ portal, index, tokenId }) => {
+        const entry = { portalAddress: portal, index, tokenId };
+        if (!withMetadata) {
+          return entry;
+        }
+        try {
+          return { ...entry, ...(await this.readPortalMetadata(portal)) };
+        } catch (error) {
+          console.error(`Error reading metadata of portal ${portal}:`, error);
+          return { ...entry, metadata: null };
+        }
+      })
     );
+  }
+
+  // Finds an owned portal by the namespace stored in its metadata. The most
+  // recently minted one wins if a namespace was minted more than once.
+  async findPortal(namespace) {
+    const portals = await this.getOwnedPortals();
+    return (
+      portals
+        .filter((portal) => portal.metadata?.namespace === namespace)
+        .pop() || null
+    );
+  }
 
-    const hash = await this.smartAccountClient.sendUserOperation({
-      calls: [{
-        to: this.portal.portalAddress,
+  // Checks portal keys against the latest key verifiers of a portal
+  async verifyPortalKeys(portalAddress, portalKeys) {
+    const expected = getPortalKeyVerifiers(portalKeys);
+    let latest = null;
+    for (let version = 0n; ; version++) {
+      const verifiers = await this.publicClient.readContract({
+        address: portalAddress,
         abi: PortalABI,
-        functionName: "addFile",
-        args: [
-          metadataIpfsHash,
-          contentIpfsHash,
-          "", // _gateIPFSHash (empty for public files)
-          0, // filetype (0 = PUBLIC from enum)
-          0, // version
-        ],
-      }]
-    });
+        functionName: "keyVerifiers",
+        args: [version],
+      });
+      if (/^0x0+$/.test(verifiers[0])) break;
+      latest = verifiers;
+    }
+    if (!latest) {
+      return false;
+    }
+    return (
+      latest[0] === expected.portalEncryptionKeyVerifier &&
+      latest[1] === expected.portalDecryptionKeyVerifier &&
+      latest[2] === expected.memberEncryptionKeyVerifer &&
+      latest[3] === expected.memberDecryptionKeyVerifer
+    );
+  }
 
-    const receipt = await this.smartAccountClient.waitForUserOperationReceipt({ hash });
-    const logs = parseEventLogs({
-      abi: PortalABI,
-      logs: receipt.logs,
-      eventName: "AddedFile",
+  // Re-attaches to a portal found in the registry and saves it to the
+  // credential store. Keys can't be read back from the chain, so without
+  // imported portalKeys private files and collaborator keys are unavailable.
+  async recoverPortal(namespace, { portalKeys } = {}) {
+    const found = await this.findPortal(namespace);
+    if (!found) {
+      return null;
+    }
+    if (
+      portalKeys &&
+      !(await this.verifyPortalKeys(found.portalAddress, portalKeys))
+    ) {
+      throw new Error(
+        `Imported keys do not match portal ${found.portalAddress}`
+      );
+    }
+    const portalData = await this.withDeploymentBlock({
+      portalAddress: found.portalAddress,
+      owner: this.owner,
+      namespace,
+      metadataIPFSHash: found.metadataIPFSHash,
+      portalKeys,
+      verifiers: portalKeys ? getPortalKeyVerifiers(portalKeys) : undefined,
     });
+    this.portal = portalData;
+    await this.credentialStore.save(namespace, portalData);
+    return found.portalAddress;
+  }
 
-    const addedFileLog = logs[0];
+  // Block a contract was deployed in: the first block with code at its
+  // address, found by binary search. Undefined when there is no code at the
+  // address; throws when the RPC doesn't serve historical state.
+  async findDeploymentBlock(address) {
+    const hasCode = async (blockNumber) => {
+      const code = await this.publicClient.getCode({ address, blockNumber });
+      return Boolean(code && code !== "0x");
+    };
+    let low = 0n;
+    let high = await this.publicClient.getBlockNumber();
+    if (!(await hasCode(high))) {
+      return undefined;
+    }
+    while (low < high) {
+      const middle = (low + high) / 2n;
+      if (await hasCode(middle)) {
+        high = middle;
+      } else {
+        low = middle + 1n;
+      }
+    }
+    return Number(low);
+  }
 
-    if (!addedFileLog) {
-      throw new Error("AddedFile event not found");
+  // Portals that weren't minted by this agent (recovered, joined, handed
+  // over, or saved before deployment blocks were recorded) get theirs looked
+  // up once, so that getHistory and syncIndex don't scan logs from genesis.
+  // When the search fails, block 0 is recorded with deploymentBlockUnknown
+  // so that it isn't repeated on every load.
+  async withDeploymentBlock(portalData) {
+    if (portalData.deploymentBlock !== undefined) {
+      return portalData;
     }
+    const deploymentBlock = await this.findDeploymentBlock(
+      portalData.portalAddress
+    ).catch(() => undefined);
+    return deploymentBlock === undefined
+      ? { ...portalData, deploymentBlock: 0, deploymentBlockUnknown: true }
+      : { ...portalData, deploymentBlock };
+  }
 
-    const fileId = addedFileLog.args?.fileId;
-    const transaction = {
-      hash: hash,
-      fileId,
-      portalAddress: this.portal.portalAddress,
-    };
-    return transaction;
+  async getSafeAddress() {
+    if (!this.safeAccount) {
+      await this.setupSafe();
+    }
+    return this.safeAccount.address;
   }
 
-  async getFile(fileId) {
+  // Bundle of what another agent needs to join this portal with joinPortal.
+  // Only the member decryption key is shared, not the portal decryption key
+  // or the edit/view secrets. With an audience DID (see getDid), a UCAN for
+  // `can` is issued as the authToken.
+  async exportPortalAccess({ authToken, audience, can, ...delegation } = {}) {
     await this.prechecks();
-    const file = await this.publicClient.readContract({
-      address: this.portal.portalAddress,
-      abi: PortalABI,
-      functionName: "files",
-      args: [fileId],
-    });
-    const [metadataIpfsHash, contentIpfsHash] = file;
+    if (!authToken && audience) {
+      authToken = await this.delegate(audience, { can, ...delegation });
+    }
+    const { portalKeys = {} } = this.portal;
     return {
-      portal: this.portal,
-      namespace: this.namespace,
-      metadataIpfsHash,
-      contentIpfsHash,
+      portalAddress: this.portal.portalAddress,
+      chainId: this.chain.id,
+      portalKeys: {
+        portalEncryptionKey: portalKeys.portalEncryptionKey,
+        memberEncryptionKey: portalKeys.memberEncryptionKey,
+        memberDecryptionKey: portalKeys.memberDecryptionKey,
+      },
+      authToken,
     };
   }
 
-  async update(fileId, output) {
-    await this.prechecks();
-
-    // Read latest metadata and content IPFS hashes from portal before updating,
-    // in order to unpin them after a successful update transaction
-    const fileBeforeUpdate = await this.getFile(fileId);
-
-    const contentIpfsHash = await this.uploadToStorage("output.md", output);
+  // Attaches to a portal owned by someone else. The agent's Safe (see
+  // getSafeAddress) must have been added with addCollaborator by the owner.
+  // An authToken must be a UCAN on the portal issued to the agent's DID,
+  // which carries over from the portal loaded before.
+  async joinPortal(namespace, { portalAddress, portalKeys, authToken, chainId }) {
+    if (!namespace) {
+      throw new Error("Namespace is required");
+    }
+    if (!portalAddress) {
+      throw new Error("Portal address is required");
+    }
+    if (chainId !== undefined && Number(chainId) !== this.chain.id) {
+      throw new Error(`Portal is on chain ${chainId}, not ${this.chain.id}`);
+    }
+    this.namespace = `${namespace}-${this.chain.name.toLowerCase()}`;
+    await this.setupSafe();
 
-    const metadata = {
-      name: "output.md",
-      description: "Updated Markdown file by FileverseAgent",
-      contentIpfsHash,
-    };
-    const metadataIpfsHash = await this.uploadToStorage("metadata.json", metadata);
+    const isCollaborator = await this.publicClient.readContract({
+      address: portalAddress,
+      abi: PortalABI,
+      functionName: "isCollaborator",
+      args: [this.safeAccount.address],
+    });
+    if (!isCollaborator) {
+      throw new Error(
+        `${this.safeAccount.address} is not a collaborator of portal ${portalAddress}`
+      );
+    }
 
-    const hash = await this.smartAccountClient.sendUserOperation({
-      calls: [{
-        to: this.portal.portalAddress,
-        abi: PortalABI,
-        functionName: "editFile",
-        args: [
-          fileId,
-          metadataIpfsHash,
-          contentIpfsHash,
-          "", // _gateIPFSHash (empty for public files)
-          0, // filetype (0 = PUBLIC from enum)
-          0, // version
-        ],
-      }]
+    const portalData = await this.withDeploymentBlock({
+      portalAddress,
+      owner: this.owner,
+      namespace: this.namespace,
+      collaborator: true,
+      portalKeys,
+      authToken,
+      delegationSecret: this.portal?.delegationSecret,
     });
+    if (authToken) {
+      await this.verifyAuthToken(authToken, portalData);
+    }
+    this.portal = portalData;
+    await this.credentialStore.save(this.namespace, portalData);
+    return portalAddress;
+  }
 
-    // try to unpin the file content and metadata
+  // Verified against the portal being joined, which is only loaded if the
+  // token grants its abilities to this agent
+  async verifyAuthToken(authToken, portalData) {
+    let abilities;
+    try {
+      abilities = getDelegatedAbilities(authToken, portalData.portalAddress);
+    } catch (error) {
+      throw new Error(`Invalid authToken: ${error.message}`);
+    }
+    if (abilities.length === 0) {
+      throw new Error(
+        `authToken grants nothing on portal ${portalData.portalAddress}`
+      );
+    }
+    if (!portalData.delegationSecret) {
+      throw new Error(
+        "authToken was not issued to this agent, which has no DID yet - see getDid"
+      );
+    }
+    const audience = ucans.EdKeypair.fromSecretKey(
+      portalData.delegationSecret
+    ).did();
+    const previousPortal = this.portal;
+    this.portal = portalData;
     try {
-      const { metadataIpfsHash, contentIpfsHash } = fileBeforeUpdate;
-      await this.storageProvider.unpin(metadataIpfsHash);
-      await this.storageProvider.unpin(contentIpfsHash);
+      const { valid, errors } = await this.verifyDelegation(authToken, {
+        audience,
+        can: abilities,
+      });
+      if (!valid) {
+        throw new Error(`Invalid authToken: ${errors.join(", ")}`);
+      }
     } catch (error) {
-      console.error("Error unpinning file from storage:", error);
+      this.portal = previousPortal;
+      throw error;
     }
+  }
 
-    const transaction = {
-      hash: hash,
-      fileId,
-      portalAddress: this.portal.portalAddress,
+  async prechecks() {
+    if (!this.safeAccount) {
+      throw new Error("Storage not setup yet!");
+    }
+    if (!this.portal || !this.portal.portalAddress) {
+      throw new Error("Portal not found!");
+    }
+  }
+
+  // Uploads are content-addressed, so retrying one can't duplicate it. An
+  // attempt that timed out but still succeeds is unpinned once the upload
+  // settled, unless it stored the reference that was returned.
+  async uploadToStorage(fileName, content, options = {}) {
+    const late = [];
+    let settled = false;
+    let uploaded;
+    const unpinLate = (reference) => {
+      if (!settled) {
+        late.push(reference);
+      } else if (reference !== uploaded) {
+        this.storageProvider.unpin(reference).catch((error) => {
+          console.error(`Error unpinning late upload ${reference}:`, error);
+        });
+      }
     };
-    return transaction;
+    try {
+      uploaded = await this.withRetry(
+        () => this.storageProvider.upload(fileName, content, options),
+        { label: `Uploading ${fileName}`, onLateResult: unpinLate }
+      );
+      return uploaded;
+    } catch (error) {
+      throw new StorageError(`Uploading ${fileName} failed`, {
+        operation: "upload",
+        cause: error,
+      });
+    } finally {
+      settled = true;
+      late.splice(0).forEach(unpinLate);
+    }
   }
 
-  async delete(fileId) {
-    await this.prechecks();
+  // Replicas are other references of the same content, which replicating
+  // providers fall back to. Those recorded with the portal are added.
+  async downloadFromStorage(reference, options = {}) {
+    const { sha256: expectedDigest } = options;
+    const replicas = [
+      ...(options.replicas || []),
+      ...this.getRecordedReplicas(reference),
+    ];
+    let content;
     try {
-      const protocol = await this.storageProvider.protocol();
+      content = await this.withRetry(
+        async () =>
+          toBuffer(
+            await this.storageProvider.download(reference, { replicas })
+          ),
+        { label: `Downloading ${reference}` }
+      );
+    } catch (error) {
+      throw new StorageError(`Downloading ${reference} failed`, {
+        operation: "download",
+        reference,
+        cause: error,
+      });
+    }
+    if (this.verifyIntegrity) {
+      await this.verifyContent(reference, content, expectedDigest);
+    }
+    return content;
+  }
 
-      // Read metadata and content IPFS hashes from portal before deleting,
-      // in order to unpin them after a successful deletion transaction
-      const fileBeforeDelete = await this.getFile(fileId);
+  // Gateways and Bee nodes aren't trusted: content must match its reference
+  // where the provider can recompute it, and the digest in the metadata.
+  async verifyContent(reference, content, expectedDigest) {
+    if ((await this.storageProvider.verify(reference, content)) === false) {
+      throw new IntegrityError(
+        `Content of ${reference} does not match its reference`,
+        { reference }
+      );
+    }
+    if (expectedDigest) {
+      const actual = sha256(content).toString("hex");
+      if (actual !== expectedDigest) {
+        throw new IntegrityError(
+          `Content of ${reference} does not match the digest in its metadata`,
+          { reference, expected: expectedDigest, actual }
+        );
+      }
+    }
+  }
 
-      const hash = await this.smartAccountClient.sendUserOperation({
-        calls: [{
-          to: this.portal.portalAddress,
-          abi: PortalABI,
-          functionName: "editFile",
-          args: [
-          fileId,
-          `${protocol}${this.DELETED_HASH}`,
-          `${protocol}${this.DELETED_HASH}`,
-          "", // _gateIPFSHash (empty for deleted files)
-          0, // filetype (0 = PUBLIC from enum)
-          0, // version
-        ],
-      }]
-    });
+  // The metadata records the content it was written with; a gateway can't
+  // pair it with other content without failing this check.
+  verifyMetadata(metadata, { contentIpfsHash }) {
+    if (
+      this.verifyIntegrity &&
+      metadata?.contentIpfsHash &&
+      metadata.contentIpfsHash !== contentIpfsHash
+    ) {
+      throw new IntegrityError(
+        `Metadata was written for ${metadata.contentIpfsHash}, not ${contentIpfsHash}`,
+        {
+          reference: contentIpfsHash,
+          expected: contentIpfsHash,
+          actual: metadata.contentIpfsHash,
+        }
+      );
+    }
+    return metadata;
+  }
 
+  // Uploads content and metadata, encrypting both behind a gate when the
+  // file is private. Returns the hashes and filetype to write on-chain.
+  // Content may be a string, Buffer, Uint8Array, Blob or readable stream.
+  async uploadFile(output, metadata, options = {}) {
+    const { isPrivate = false, fileName = "output.md" } = options;
+    const content = await toBuffer(output);
+    const contentType = options.contentType || getContentType(fileName);
+    const fileMetadata = { ...metadata, contentType, size: content.length };
+
+    // References uploaded so far, unpinned if a later upload fails
+    const uploaded = [];
+    const upload = async (...args) => {
+      const reference = await this.uploadToStorage(...args);
+      uploaded.push(reference);
+      return reference;
+    };
     try {
-      const { metadataIpfsHash, contentIpfsHash } = fileBeforeDelete;
-      await this.storageProvider.unpin(metadataIpfsHash);
-      await this.storageProvider.unpin(contentIpfsHash);
+      if (!isPrivate) {
+        const contentIpfsHash = await upload(fileName, content, {
+          contentType,
+        });
+        const metadataIpfsHash = await upload(
+          "metadata.json",
+          JSON.stringify({
+            ...fileMetadata,
+            contentIpfsHash,
+            ...this.getContentReplicas(contentIpfsHash),
+            contentSha256: sha256(content).toString("hex"),
+          }),
+          { contentType: "application/json" }
+        );
+        return {
+          metadataIpfsHash,
+          contentIpfsHash,
+          gateIpfsHash: "",
+          fileType: FILE_TYPE.PUBLIC,
+        };
+      }
+      if (!this.portal.portalKeys) {
+        throw new Error("Portal keys are required for private files");
+      }
+      const fileKey = generateFileKey();
+      const encryptedContent = encryptWithFileKey(fileKey, content);
+      const contentIpfsHash = await upload(fileName, encryptedContent);
+      // The digest is of the stored (encrypted) bytes, checked before decrypting
+      const metadataIpfsHash = await upload(
+        "metadata.json",
+        encryptWithFileKey(
+          fileKey,
+          JSON.stringify({
+            ...fileMetadata,
+            contentIpfsHash,
+            ...this.getContentReplicas(contentIpfsHash),
+            contentSha256: sha256(encryptedContent).toString("hex"),
+          })
+        )
+      );
+      const gateIpfsHash = await upload(
+        "gate.json",
+        JSON.stringify(createGate(fileKey, this.portal.portalKeys))
+      );
+      return {
+        metadataIpfsHash,
+        contentIpfsHash,
+        gateIpfsHash,
+        fileType: FILE_TYPE.PRIVATE,
+      };
     } catch (error) {
-      console.error("Error unpinning file from storage:", error);
+      await this.unpinReferences(uploaded);
+      throw error;
     }
+  }
 
-    const transaction = {
-      hash: hash,
-      fileId,
-      portalAddress: this.portal.portalAddress,
+  // Metadata lists every reference the content was replicated to, so it can
+  // be downloaded from another backend when the on-chain one is unavailable
+  getContentReplicas(contentIpfsHash) {
+    const replicas = this.storageProvider.getReplicas(contentIpfsHash);
+    return replicas.length > 1 ? { contentReplicas: replicas } : {};
+  }
+
+  getRecordedReplicas(reference) {
+    return this.portal?.replicas?.[reference] || [];
+  }
+
+  // Replicas of metadata and gates can't be listed in file metadata like
+  // those of the content, so they are saved with the portal credentials.
+  // The storage provider then no longer needs to hold any of them.
+  async recordReplicas(references, { forget = [] } = {}) {
+    const replicas = {};
+    for (const reference of references.filter(Boolean)) {
+      const found = this.storageProvider.getReplicas(reference);
+      if (found.length > 1) {
+        replicas[reference] = found;
+      }
+    }
+    [...references, ...forget]
+      .filter(Boolean)
+      .forEach((reference) => this.storageProvider.forgetReplicas(reference));
+    if (Object.keys(replicas).length === 0) {
+      return;
+    }
+    this.portal = {
+      ...this.portal,
+      replicas: { ...this.portal.replicas, ...replicas },
+    };
+    await this.credentialStore.save(this.namespace, this.portal);
+  }
+
+  async openFileGate(gateIpfsHash) {
+    if (!this.portal.portalKeys) {
+      throw new Error("Portal keys are required to decrypt private files");
+    }
+    const gate = JSON.parse(
+      (await this.downloadFromStorage(gateIpfsHash)).toString()
+    );
+    // Files written before a key rotation are locked with previous keys
+    const keySets = [
+      this.portal.portalKeys,
+      ...(this.portal.previousPortalKeys || []),
+    ];
+    for (const [index, portalKeys] of keySets.entries()) {
+      try {
+        return openGate(gate, portalKeys);
+      } catch (error) {
+        if (index === keySets.length - 1) throw error;
+      }
+    }
+  }
+
+  async decryptFile({ metadataIpfsHash, contentIpfsHash, gateIpfsHash }) {
+    const fileKey = await this.openFileGate(gateIpfsHash);
+    const encryptedMetadata = await this.downloadFromStorage(metadataIpfsHash);
+    const metadata = this.verifyMetadata(
+      this.parseMetadata(
+        decryptWithFileKey(fileKey, encryptedMetadata.toString())
+      ),
+      { contentIpfsHash }
+    );
+    const encryptedContent = await this.downloadFromStorage(contentIpfsHash, {
+      sha256: metadata?.contentSha256,
+      replicas: metadata?.contentReplicas,
+    });
+    return {
+      metadata,
+      content: decryptWithFileKey(fileKey, encryptedContent.toString()),
     };
-      return transaction;
+  }
+
+  async readFileMetadata({ metadataIpfsHash, gateIpfsHash, fileType }) {
+    const metadata = await this.downloadFromStorage(metadataIpfsHash);
+    if (fileType === FILE_TYPE.PRIVATE && gateIpfsHash) {
+      const fileKey = await this.openFileGate(gateIpfsHash);
+      return normalizeMetadata(
+        this.parseMetadata(decryptWithFileKey(fileKey, metadata.toString()))
+      );
+    }
+    return normalizeMetadata(this.parseMetadata(metadata));
+  }
+
+  parseMetadata(buffer) {
+    try {
+      return JSON.parse(buffer.toString());
     } catch (error) {
-      console.error("Error deleting file:", error);
-      throw new Error("File deletion failed.");
+      console.error("Error parsing file metadata:", error);
+      return null;
     }
   }
+
+  isDeleted({ metadataIpfsHash, contentIpfsHash }) {
+    // Agent.delete writes `${protocol}${DELETED_HASH}` as both hashes
+    return [metadataIpfsHash, contentIpfsHash].some(
+      (hash) =>
+        hash === this.DELETED_HASH || hash.endsWith(`://${this.DELETED_HASH}`)
+    );
+  }
+
+  // Resolves metadata and content through the storage provider, decrypting
+  // private files. Content is returned as a string unless encoding is null;
+  // without an encoding, binary content types are returned as a Buffer.
+  async readFileContent(entry, encoding) {
+    let metadata;
+    let content;
+    if (entry.fileType === FILE_TYPE.PRIVATE && entry.gateIpfsHash) {
+      ({ metadata, content } = await this.decryptFile(entry));
+    } else {
+      metadata = this.verifyMetadata(
+        this.parseMetadata(
+          await this.downloadFromStorage(entry.metadataIpfsHash)
+        ),
+        entry
+      );
+      content = await this.downloadFromStorage(entry.contentIpfsHash, {
+        sha256: metadata?.contentSha256,
+        replicas: metadata?.contentReplicas,
+      });
+    }
+    metadata = normalizeMetadata(metadata);
+    if (encoding === undefined) {
+      const contentType = metadata?.contentType;
+      encoding = !contentType || isTextContentType(contentType) ? "utf8" : null;
+    }
+    return {
+      metadata,
+      content: encoding ? content.toString(encoding) : content,
+    };
+  }
+
+  // Schema fields a caller can set on create and update, see createMetadata
+  toMetadataFields(fileName, options) {
+    const { title, description, tags, derivedFrom, custom, author } = options;
+    return {
+      name: fileName,
+      title,
+      description,
+      tags,
+      derivedFrom,
+      custom,
+      author: {
+        address: this.safeAccount.address,
+        namespace: this.namespace,
+        ...(author !== undefined ? { name: author } : {}),
+      },
+    };
+  }
+
+  // Options: isPrivate, fileName, contentType and the metadata fields title,
+  // description, tags, derivedFrom (fileIds the output was derived from),
+  // custom (any JSON object) and author (a display name for this agent).
+  async uploadNewFile(output, options = {}) {
+    const { isPrivate = false, fileName = "output.md", contentType } = options;
+    const metadata = createMetadata(this.toMetadataFields(fileName, options));
+    return this.uploadFile(output, metadata, {
+      isPrivate,
+      fileName,
+      contentType,
+    });
+  }
+
+  addFileCall({ metadataIpfsHash, contentIpfsHash, gateIpfsHash, fileType }) {
+    return {
+      to: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "addFile",
+      args: [
+        metadataIpfsHash,
+        contentIpfsHash,
+        gateIpfsHash, // _gateIPFSHash (empty for public files)
+        fileType, // filetype (0 = PUBLIC, 1 = PRIVATE from enum)
+        0, // version
+      ],
+    };
+  }
+
+  editFileCall(
+    fileId,
+    { metadataIpfsHash, contentIpfsHash, gateIpfsHash, fileType }
+  ) {
+    return {
+      to: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "editFile",
+      args: [
+        fileId,
+        metadataIpfsHash,
+        contentIpfsHash,
+        gateIpfsHash, // _gateIPFSHash (empty for public files)
+        fileType, // filetype (0 = PUBLIC, 1 = PRIVATE from enum)
+        0, // version
+      ],
+    };
+  }
+
+  // Maps AddedFile logs back to uploads; logs are emitted in call order
+  getAddedFileIds(receipt, uploads) {
+    const logs = parseEventLogs({
+      abi: PortalABI,
+      logs: receipt.logs,
+      eventName: "AddedFile",
+    });
+    if (logs.length !== uploads.length) {
+      throw new Error("AddedFile event not found");
+    }
+    return uploads.map((upload, index) => {
+      const { fileId, contentIPFSHash } = logs[index].args;
+      if (contentIPFSHash !== upload.contentIpfsHash) {
+        throw new Error("AddedFile event does not match uploaded content");
+      }
+      return fileId;
+    });
+  }
+
+  async create(output, options = {}) {
+    await this.prechecks();
+    const upload = await this.uploadNewFile(output, options);
+
+    const { hash, receipt } = await this.sendFileCalls(
+      [this.addFileCall(upload)],
+      [upload]
+    );
+    const [fileId] = this.getAddedFileIds(receipt, [upload]);
+    const transaction = {
+      hash: hash,
+      fileId,
+      portalAddress: this.portal.portalAddress,
+    };
+    return transaction;
+  }
+
+  // Creates many files with a single user operation. Items are outputs or
+  // { output, ...options } objects taking the same options as create.
+  // Items are checked before anything is uploaded.
+  async createBatch(items) {
+    await this.prechecks();
+    if (!items?.length) {
+      throw new Error("At least one file is required");
+    }
+    const isOptions = (item) =>
+      typeof item === "object" &&
+      Object.getPrototypeOf(item) === Object.prototype;
+    items.forEach((item, index) => {
+      if (item === null || item === undefined) {
+        throw new Error(`Batch item ${index} has no output`);
+      }
+      if (isOptions(item) && !("output" in item)) {
+        throw new Error(
+          `Batch item ${index} must be an output or an { output, ...options } object`
+        );
+      }
+    });
+    const uploads = await this.settleUploads(
+      items.map((item) =>
+        isOptions(item)
+          ? this.uploadNewFile(item.output, item)
+          : this.uploadNewFile(item)
+      )
+    );
+
+    const { hash, receipt } = await this.sendFileCalls(
+      uploads.map((upload) => this.addFileCall(upload)),
+      uploads
+    );
+    const fileIds = this.getAddedFileIds(receipt, uploads);
+    return {
+      hash,
+      portalAddress: this.portal.portalAddress,
+      files: uploads.map((upload, index) => ({
+        fileId: fileIds[index],
+        ...upload,
+      })),
+    };
+  }
+
+  async getFileEntry(fileId) {
+    const file = await this.publicClient.readContract({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "files",
+      args: [fileId],
+    });
+    const [metadataIpfsHash, contentIpfsHash, gateIpfsHash, fileType] = file;
+    return {
+      metadataIpfsHash,
+      contentIpfsHash,
+      gateIpfsHash,
+      fileType: Number(fileType),
+    };
+  }
+
+  async getFile(fileId) {
+    await this.prechecks();
+    const entry = await this.getFileEntry(fileId);
+    const file = {
+      portal: this.portal,
+      namespace: this.namespace,
+      ...entry,
+      deleted: this.isDeleted(entry),
+    };
+    // Private files are decrypted transparently with the portal keys
+    if (
+      !file.deleted &&
+      entry.fileType === FILE_TYPE.PRIVATE &&
+      entry.gateIpfsHash
+    ) {
+      Object.assign(file, await this.readFileContent(entry));
+    }
+    return file;
+  }
+
+  async read(fileId, options = {}) {
+    await this.prechecks();
+    const { encoding } = options;
+    const entry = await this.getFileEntry(fileId);
+    const file = {
+      fileId,
+      portalAddress: this.portal.portalAddress,
+      ...entry,
+      deleted: this.isDeleted(entry),
+      metadata: null,
+      content: null,
+    };
+    if (file.deleted) {
+      return file;
+    }
+    return { ...file, ...(await this.readFileContent(entry, encoding)) };
+  }
+
+  async getFileCount() {
+    const fileCount = await this.publicClient.readContract({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "getFileCount",
+    });
+    return Number(fileCount);
+  }
+
+  // Lists files by fileId, one page at a time. Deleted files are skipped
+  // unless includeDeleted is set, so a page may hold fewer than pageSize files.
+  async listFiles(options = {}) {
+    await this.prechecks();
+    const {
+      page = 0,
+      pageSize = 25,
+      includeDeleted = false,
+      withMetadata = false,
+    } = options;
+    if (page < 0 || pageSize <= 0) {
+      throw new Error("Invalid pagination options");
+    }
+    const total = await this.getFileCount();
+    const start = page * pageSize;
+    const end = Math.min(start + pageSize, total);
+
+    const fileIds = [];
+    for (let fileId = start; fileId < end; fileId++) {
+      fileIds.push(BigInt(fileId));
+    }
+    const entries = await Promise.all(
+      fileIds.map(async (fileId) => {
+        const entry = await this.getFileEntry(fileId);
+        return { fileId, ...entry, deleted: this.isDeleted(entry) };
+      })
+    );
+    const files = entries.filter((file) => includeDeleted || !file.deleted);
+
+    if (withMetadata) {
+      await Promise.all(
+        files.map(async (file) => {
+          file.metadata = null;
+          if (file.deleted) return;
+          try {
+            file.metadata = await this.readFileMetadata(file);
+          } catch (error) {
+            console.error(`Error reading metadata of file ${file.fileId}:`, error);
+          }
+        })
+      );
+    }
+
+    return {
+      portalAddress: this.portal.portalAddress,
+      files,
+      page,
+      pageSize,
+      total,
+      hasMore: end < total,
+    };
+  }
+
+  // Fetches Portal event logs in chunks of blockRange blocks, as public RPCs
+  // cap the range a single eth_getLogs call may cover.
+  async getPortalEvents(eventName, options = {}) {
+    const {
+      args,
+      fromBlock = BigInt(this.portal.deploymentBlock ?? 0),
+      toBlock,
+      blockRange = 10000n,
+    } = options;
+    const lastBlock =
+      toBlock !== undefined
+        ? BigInt(toBlock)
+        : await this.publicClient.getBlockNumber();
+    const events = [];
+    for (let start = BigInt(fromBlock); start <= lastBlock; start += blockRange) {
+      const end =
+        start + blockRange - 1n < lastBlock ? start + blockRange - 1n : lastBlock;
+      const logs = await this.publicClient.getContractEvents({
+        address: this.portal.portalAddress,
+        abi: PortalABI,
+        eventName,
+        args,
+        fromBlock: start,
+        toBlock: end,
+      });
+      events.push(...logs);
+    }
+    return events;
+  }
+
+  toFileVersion(log) {
+    const { fileId, metadataIPFSHash, contentIPFSHash, gateIPFSHash, by } =
+      log.args;
+    const hashes = {
+      metadataIpfsHash: metadataIPFSHash,
+      contentIpfsHash: contentIPFSHash,
+    };
+    return {
+      fileId,
+      event: log.eventName,
+      ...hashes,
+      gateIpfsHash: gateIPFSHash,
+      by,
+      deleted: this.isDeleted(hashes),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    };
+  }
+
+  // Builds a version timeline per fileId from AddedFile and EditedFile logs,
+  // oldest first. Options are passed through to getPortalEvents.
+  async getHistory(options = {}) {
+    await this.prechecks();
+    const addedLogs = await this.getPortalEvents("AddedFile", options);
+    const editedLogs = await this.getPortalEvents("EditedFile", options);
+    const versions = [...addedLogs, ...editedLogs]
+      .map((log) => this.toFileVersion(log))
+      .sort((a, b) =>
+        a.blockNumber === b.blockNumber
+          ? a.logIndex - b.logIndex
+          : a.blockNumber < b.blockNumber
+          ? -1
+          : 1
+      );
+    const history = {};
+    for (const version of versions) {
+      const key = version.fileId.toString();
+      history[key] = history[key] || [];
+      history[key].push({ ...version, version: history[key].length });
+    }
+    return history;
+  }
+
+  async getFileHistory(fileId, options = {}) {
+    const history = await this.getHistory({
+      ...options,
+      args: { fileId: BigInt(fileId) },
+    });
+    return history[BigInt(fileId).toString()] || [];
+  }
+
+  // Decodes a Portal log for watchPortalEvents. File events carry the same
+  // fields as getHistory versions; withContent downloads the file (or the
+  // portal metadata) they point at.
+  async toPortalEvent(log, { withContent = false, encoding } = {}) {
+    const event = {
+      event: log.eventName,
+      portalAddress: this.portal.portalAddress,
+      args: log.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    };
+    if (log.eventName === "AddedFile" || log.eventName === "EditedFile") {
+      Object.assign(event, this.toFileVersion(log));
+    }
+    if (!withContent) {
+      return event;
+    }
+    try {
+      if (event.fileId !== undefined && !event.deleted) {
+        event.metadata = null;
+        event.content = null;
+        Object.assign(
+          event,
+          await this.readFileContent(
+            {
+              metadataIpfsHash: event.metadataIpfsHash,
+              contentIpfsHash: event.contentIpfsHash,
+              gateIpfsHash: event.gateIpfsHash,
+              fileType: event.gateIpfsHash
+                ? FILE_TYPE.PRIVATE
+                : FILE_TYPE.PUBLIC,
+            },
+            encoding
+          )
+        );
+      }
+      if (log.eventName === "UpdatedPortalMetadata") {
+        event.metadata = normalizePortalMetadata(
+          this.parseMetadata(
+            await this.downloadFromStorage(log.args.metadataIPFSHash)
+          )
+        );
+      }
+    } catch (error) {
+      console.error(`Error reading content of ${log.eventName} event:`, error);
+    }
+    return event;
+  }
+
+  isAfterCursor(log, cursor) {
+    if (!cursor) return true;
+    const blockNumber = BigInt(cursor.blockNumber);
+    return (
+      log.blockNumber > blockNumber ||
+      (log.blockNumber === blockNumber && log.logIndex > cursor.logIndex)
+    );
+  }
+
+  getWatchCursor(name) {
+    return this.portal.watchCursors?.[name];
+  }
+
+  async saveWatchCursor(name, cursor) {
+    this.portal = {
+      ...this.portal,
+      watchCursors: { ...this.portal.watchCursors, [name]: cursor },
+    };
+    await this.credentialStore.save(this.namespace, this.portal);
+  }
+
+  // Yields decoded Portal events, oldest first: past events from fromBlock
+  // (or the saved cursor) and then new ones from watchContractEvent. When the
+  // subscription fails, getPortalEvents is polled instead. With a cursor
+  // name, the position of the last event is saved with the credentials once
+  // the next one is asked for, and a later watch with the same cursor
+  // resumes after it - an event being handled when the watch stops is
+  // delivered again. Runs until the signal is aborted or the loop exits.
+  async *watchPortalEvents(options = {}) {
+    await this.prechecks();
+    const {
+      events = WATCHED_EVENTS,
+      fromBlock,
+      cursor: cursorName,
+      withContent = false,
+      encoding,
+      pollingInterval = this.publicClient.pollingInterval,
+      blockRange,
+      signal,
+    } = options;
+    let cursor = cursorName ? this.getWatchCursor(cursorName) : undefined;
+    let nextBlock = cursor
+      ? BigInt(cursor.blockNumber)
+      : fromBlock !== undefined
+      ? BigInt(fromBlock)
+      : undefined;
+
+    const queue = [];
+    let failure;
+    let wake;
+    const notify = () => wake?.();
+    // Resolves on new logs, a subscription error, an abort or after ms
+    const wait = (ms) =>
+      new Promise((resolve) => {
+        const timer = ms ? setTimeout(resolve, ms) : undefined;
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      }).finally(() => {
+        wake = undefined;
+      });
+    const fetchLogs = async () => {
+      const head = await this.withRetry(
+        () => this.publicClient.getBlockNumber(),
+        { label: "Fetching block number" }
+      );
+      if (nextBlock === undefined) {
+        nextBlock = head + 1n;
+      }
+      if (nextBlock > head) return;
+      const logs = await this.withRetry(
+        () =>
+          this.getPortalEvents(undefined, {
+            fromBlock: nextBlock,
+            toBlock: head,
+            blockRange,
+          }),
+        { label: "Fetching Portal events" }
+      );
+      queue.push(...logs);
+      nextBlock = head + 1n;
+    };
+
+    // Subscribed before catching up, so that no block falls in between.
+    // Logs it delivers meanwhile are held back until the past ones are
+    // queued, as the first one yielded moves the cursor past everything
+    // before it; logs seen twice are skipped by their position.
+    let caughtUp = false;
+    const held = [];
+    let unwatch = this.publicClient.watchContractEvent({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      pollingInterval,
+      onLogs: (logs) => {
+        (caughtUp ? queue : held).push(...logs);
+        notify();
+      },
+      onError: (error) => {
+        failure = error;
+        notify();
+      },
+    });
+    signal?.addEventListener("abort", notify);
+    try {
+      await fetchLogs();
+      caughtUp = true;
+      queue.push(...held.splice(0));
+      while (!signal?.aborted) {
+        if (failure && unwatch) {
+          console.error("Watching Portal events failed, polling:", failure);
+          unwatch();
+          unwatch = undefined;
+          if (cursor && BigInt(cursor.blockNumber) > nextBlock) {
+            nextBlock = BigInt(cursor.blockNumber);
+          }
+        }
+        if (queue.length === 0) {
+          if (unwatch) {
+            await wait();
+          } else {
+            await wait(pollingInterval);
+            if (!signal?.aborted) await fetchLogs();
+          }
+          continue;
+        }
+        const log = queue.shift();
+        if (
+          log.removed ||
+          !events.includes(log.eventName) ||
+          !this.isAfterCursor(log, cursor)
+        ) {
+          continue;
+        }
+        cursor = {
+          blockNumber: log.blockNumber.toString(),
+          logIndex: log.logIndex,
+        };
+        yield await this.toPortalEvent(log, { withContent, encoding });
+        if (cursorName) {
+          await this.saveWatchCursor(cursorName, cursor);
+        }
+      }
+    } finally {
+      unwatch?.();
+      signal?.removeEventListener("abort", notify);
+    }
+  }
+
+  async loadIndex() {
+    await this.prechecks();
+    if (!this.indexStore) {
+      throw new Error("Index store is required - pass indexStore to the Agent");
+    }
+    const index = await this.indexStore.load(this.namespace);
+    if (index && index.portalAddress === this.portal.portalAddress) {
+      return index;
+    }
+    return {
+      portalAddress: this.portal.portalAddress,
+      syncedBlock: null,
+      files: {},
+    };
+  }
+
+  // Indexed fields of a file's latest metadata and, for text content types,
+  // its content. Private files are only read with includePrivate, as their
+  // decrypted content ends up in the index.
+  async readIndexedContent(record, { withContent, includePrivate }) {
+    const isPrivate = Boolean(record.gateIpfsHash);
+    if (record.deleted || (isPrivate && !includePrivate)) {
+      return {
+        metadata: null,
+        name: null,
+        title: null,
+        tags: [],
+        author: null,
+        contentType: null,
+        text: null,
+      };
+    }
+    const entry = {
+      metadataIpfsHash: record.metadataIpfsHash,
+      contentIpfsHash: record.contentIpfsHash,
+      gateIpfsHash: record.gateIpfsHash,
+      fileType: isPrivate ? FILE_TYPE.PRIVATE : FILE_TYPE.PUBLIC,
+    };
+    let metadata;
+    let text = null;
+    if (withContent) {
+      const file = await this.readFileContent(entry, null);
+      metadata = file.metadata;
+      if (!metadata?.contentType || isTextContentType(metadata.contentType)) {
+        text = file.content.toString("utf8");
+      }
+    } else {
+      metadata = await this.readFileMetadata(entry);
+    }
+    return {
+      metadata,
+      name: metadata?.name ?? null,
+      title: metadata?.title ?? null,
+      tags: metadata?.tags ?? [],
+      author: metadata?.author?.address ?? null,
+      contentType: metadata?.contentType ?? null,
+      text,
+    };
+  }
+
+  // Brings the local index up to date from the AddedFile / EditedFile logs
+  // since the last sync. Files that changed are re-read from storage; a file
+  // that can't be read is indexed without metadata and retried next sync.
+  async syncIndex(options = {}) {
+    const {
+      toBlock,
+      withContent = true,
+      includePrivate = false,
+      blockRange,
+    } = options;
+    const index = await this.loadIndex();
+    const lastBlock =
+      toBlock !== undefined
+        ? BigInt(toBlock)
+        : await this.publicClient.getBlockNumber();
+    const fromBlock =
+      index.syncedBlock !== null
+        ? BigInt(index.syncedBlock) + 1n
+        : BigInt(this.portal.deploymentBlock ?? 0);
+
+    const changed = new Map(
+      Object.values(index.files)
+        .filter((record) => record.stale)
+        .map((record) => [record.fileId, record])
+    );
+    if (fromBlock <= lastBlock) {
+      const range = { fromBlock, toBlock: lastBlock, blockRange };
+      const logs = [
+        ...(await this.getPortalEvents("AddedFile", range)),
+        ...(await this.getPortalEvents("EditedFile", range)),
+      ].sort((a, b) =>
+        a.blockNumber === b.blockNumber
+          ? a.logIndex - b.logIndex
+          : a.blockNumber < b.blockNumber
+          ? -1
+          : 1
+      );
+      const timestamps = new Map();
+      for (const log of logs) {
+        const key = log.blockNumber.toString();
+        if (!timestamps.has(key)) {
+          const block = await this.publicClient.getBlock({
+            blockNumber: log.blockNumber,
+          });
+          timestamps.set(key, Number(block.timestamp));
+        }
+        const version = this.toFileVersion(log);
+        const fileId = version.fileId.toString();
+        const previous = index.files[fileId];
+        const record = {
+          ...previous,
+          fileId,
+          metadataIpfsHash: version.metadataIpfsHash,
+          contentIpfsHash: version.contentIpfsHash,
+          gateIpfsHash: version.gateIpfsHash,
+          deleted: version.deleted,
+          version: previous ? previous.version + 1 : 0,
+          createdBy: previous?.createdBy ?? version.by,
+          createdAt: previous?.createdAt ?? timestamps.get(key),
+          updatedBy: version.by,
+          updatedAt: timestamps.get(key),
+          blockNumber: key,
+          transactionHash: version.transactionHash,
+        };
+        index.files[fileId] = record;
+        changed.set(fileId, record);
+      }
+    }
+
+    for (const record of changed.values()) {
+      try {
+        Object.assign(
+          record,
+          await this.readIndexedContent(record, { withContent, includePrivate }),
+          { stale: false }
+        );
+      } catch (error) {
+        console.error(`Error indexing file ${record.fileId}:`, error);
+        record.stale = true;
+      }
+    }
+    if (fromBlock <= lastBlock) {
+      index.syncedBlock = lastBlock.toString();
+    }
+    if (fromBlock <= lastBlock || changed.size > 0) {
+      await this.indexStore.save(this.namespace, index);
+    }
+    return {
+      portalAddress: index.portalAddress,
+      syncedBlock: index.syncedBlock,
+      indexed: changed.size,
+      total: Object.keys(index.files).length,
+    };
+  }
+
+  // Searches the local index, offline: text is matched against file names
+  // and content, all words must match. Filters: name (substring or RegExp),
+  // tag, author (address), from / to (Date, ISO string or unix seconds, on
+  // the last update), contentType, includeDeleted and limit. Run syncIndex
+  // first to pick up new files.
+  async searchFiles(text, filters = {}) {
+    const index = await this.loadIndex();
+    return searchRecords(Object.values(index.files), text, filters);
+  }
+
+  // Points a file back at the hashes of an earlier version. The previous
+  // content must still be pinned, see the keepPreviousVersions option of update.
+  async restoreVersion(fileId, version) {
+    await this.prechecks();
+    const history = await this.getFileHistory(fileId);
+    const target = history[version];
+    if (!target) {
+      throw new Error(`Version ${version} of file ${fileId} not found`);
+    }
+    if (target.deleted) {
+      throw new Error("Cannot restore a deleted version");
+    }
+    const { metadataIpfsHash, contentIpfsHash, gateIpfsHash } = target;
+
+    const hash = await this.sendTransaction([
+      this.editFileCall(fileId, {
+        metadataIpfsHash,
+        contentIpfsHash,
+        gateIpfsHash,
+        fileType: gateIpfsHash ? FILE_TYPE.PRIVATE : FILE_TYPE.PUBLIC,
+      }),
+    ]);
+    const receipt = await this.waitForTransaction(hash);
+
+    const transaction = {
+      hash: hash,
+      fileId,
+      portalAddress: this.portal.portalAddress,
+      receipt,
+    };
+    return transaction;
+  }
+
+  // Metadata fields that aren't passed are kept from the previous version,
+  // read back from storage, and null ones are cleared. If it can't be read, only the new fields are
+  // written.
+  async uploadFileUpdate(fileBeforeUpdate, output, options = {}) {
+    let previousMetadata = null;
+    if (!this.isDeleted(fileBeforeUpdate)) {
+      try {
+        previousMetadata = await this.readFileMetadata(fileBeforeUpdate);
+      } catch (error) {
+        console.error("Error reading metadata of the previous version:", error);
+      }
+    }
+    // Private files stay private unless the caller says otherwise
+    const {
+      isPrivate = fileBeforeUpdate.fileType === FILE_TYPE.PRIVATE,
+      fileName = previousMetadata?.name || "output.md",
+      contentType,
+    } = options;
+    const metadata = createMetadata(
+      this.toMetadataFields(fileName, options),
+      previousMetadata
+    );
+    return this.uploadFile(output, metadata, {
+      isPrivate,
+      fileName,
+      contentType,
+    });
+  }
+
+  async unpinFromStorage(reference, replicas = []) {
+    try {
+      return await this.withRetry(
+        () => this.storageProvider.unpin(reference, { replicas }),
+        { label: `Unpinning ${reference}` }
+      );
+    } catch (error) {
+      throw new StorageError(`Unpinning ${reference} failed`, {
+        operation: "unpin",
+        reference,
+        cause: error,
+      });
+    }
+  }
+
+  // Best effort: a reference left pinned only costs storage, so failures are
+  // logged rather than thrown. Replicas are unpinned with their reference:
+  // the recorded ones and those passed by reference.
+  async unpinReferences(references, replicas = {}) {
+    const unpinned = references.filter(
+      (reference) =>
+        reference && !reference.endsWith(`://${this.DELETED_HASH}`)
+    );
+    const results = await Promise.allSettled(
+      unpinned.map((reference) =>
+        this.unpinFromStorage(reference, [
+          ...this.getRecordedReplicas(reference),
+          ...(replicas[reference] || []),
+        ])
+      )
+    );
+    for (const result of results) {
+      if (result.status === "rejected") {
+        console.error("Error unpinning file from storage:", result.reason);
+      }
+    }
+    const released = unpinned.filter(
+      (reference, index) =>
+        results[index].status === "fulfilled" &&
+        this.getRecordedReplicas(reference).length > 0
+    );
+    if (released.length > 0) {
+      const recorded = { ...this.portal.replicas };
+      released.forEach((reference) => delete recorded[reference]);
+      this.portal = { ...this.portal, replicas: recorded };
+      await this.credentialStore.save(this.namespace, this.portal);
+    }
+  }
+
+  // Content replicas are listed in the file's metadata, which is only read
+  // for them when the metadata was replicated as well
+  async unpinFile(file, { contentReplicas } = {}) {
+    const { metadataIpfsHash, contentIpfsHash, gateIpfsHash } = file;
+    if (
+      !contentReplicas &&
+      this.getRecordedReplicas(metadataIpfsHash).length > 0
+    ) {
+      try {
+        contentReplicas = (await this.readFileMetadata(file))?.contentReplicas;
+      } catch (error) {
+        console.error("Error reading the content replicas of a file:", error);
+      }
+    }
+    await this.unpinReferences(
+      [metadataIpfsHash, contentIpfsHash, gateIpfsHash],
+      contentReplicas ? { [contentIpfsHash]: contentReplicas } : {}
+    );
+  }
+
+  // Waits for every upload of a batch; if any failed, the others are
+  // unpinned before the error is thrown
+  async settleUploads(uploads) {
+    const results = await Promise.allSettled(uploads);
+    const failed = results.find((result) => result.status === "rejected");
+    if (!failed) {
+      return results.map((result) => result.value);
+    }
+    await Promise.all(
+      results
+        .filter((result) => result.status === "fulfilled")
+        .map((result) => this.unpinFile(result.value))
+    );
+    throw failed.reason;
+  }
+
+  // Sends calls that reference freshly uploaded files, one call per upload.
+  // Uploads of calls that never landed are unpinned; if the receipt times
+  // out the outcome is unknown, so they are kept and the error carries the
+  // hash. Calls of a user operation land together, while backends sending
+  // calls one by one stop after the `included` ones, at the failed call.
+  async sendFileCalls(calls, uploads) {
+    // Content replicas are already listed in the uploaded metadata
+    const recordReplicas = (recorded) =>
+      this.recordReplicas(
+        recorded.flatMap((upload) => [
+          upload.metadataIpfsHash,
+          upload.gateIpfsHash,
+        ]),
+        { forget: recorded.map((upload) => upload.contentIpfsHash) }
+      );
+    let hash;
+    let receipt;
+    try {
+      hash = await this.sendTransaction(calls);
+      receipt = await this.waitForTransaction(hash);
+    } catch (error) {
+      if (error instanceof TransactionError) {
+        const unknown = Boolean(error.hash && !error.receipt);
+        let kept;
+        if (error.included) {
+          kept = error.included.length + (unknown ? 1 : 0);
+        } else {
+          kept = unknown ? uploads.length : 0;
+        }
+        await recordReplicas(uploads.slice(0, kept));
+        await Promise.all(
+          uploads.slice(kept).map((upload) => this.unpinFile(upload))
+        );
+      }
+      throw error;
+    }
+    await recordReplicas(uploads);
+    return { hash, receipt };
+  }
+
+  async update(fileId, output, options = {}) {
+    await this.prechecks();
+    const { keepPreviousVersions = false } = options;
+
+    // Read latest metadata and content IPFS hashes from portal before updating,
+    // in order to unpin them after a successful update transaction
+    const fileBeforeUpdate = await this.getFileEntry(fileId);
+    const upload = await this.uploadFileUpdate(fileBeforeUpdate, output, options);
+
+    const { hash } = await this.sendFileCalls(
+      [this.editFileCall(fileId, upload)],
+      [upload]
+    );
+
+    // once the edit is included, try to unpin the previous content, metadata
+    // and gate, unless previous versions are kept for getFileHistory /
+    // restoreVersion
+    if (!keepPreviousVersions) {
+      await this.unpinFile(fileBeforeUpdate);
+    }
+
+    const transaction = {
+      hash: hash,
+      fileId,
+      portalAddress: this.portal.portalAddress,
+    };
+    return transaction;
+  }
+
+  // Updates many files with a single user operation. Items are
+  // { fileId, output, ...options } objects taking the same options as update.
+  async updateBatch(items) {
+    await this.prechecks();
+    if (!items?.length) {
+      throw new Error("At least one file is required");
+    }
+    items.forEach((item, index) => {
+      if (item?.fileId === undefined || item.fileId === null) {
+        throw new Error(`Batch item ${index} must be a { fileId, output } object`);
+      }
+    });
+    const fileIds = items.map((item) => BigInt(item.fileId));
+    if (new Set(fileIds).size !== fileIds.length) {
+      throw new Error("Each file can only be updated once per batch");
+    }
+    const filesBeforeUpdate = await Promise.all(
+      fileIds.map((fileId) => this.getFileEntry(fileId))
+    );
+    const uploads = await this.settleUploads(
+      items.map((item, index) =>
+        this.uploadFileUpdate(filesBeforeUpdate[index], item.output, item)
+      )
+    );
+
+    const { hash } = await this.sendFileCalls(
+      uploads.map((upload, index) => this.editFileCall(fileIds[index], upload)),
+      uploads
+    );
+
+    await Promise.all(
+      items.map((item, index) =>
+        item.keepPreviousVersions
+          ? undefined
+          : this.unpinFile(filesBeforeUpdate[index])
+      )
+    );
+
+    return {
+      hash,
+      portalAddress: this.portal.portalAddress,
+      files: uploads.map((upload, index) => ({
+        fileId: fileIds[index],
+        ...upload,
+      })),
+    };
+  }
+
+  async deletedFileUpload() {
+    const protocol = await this.storageProvider.protocol();
+    return {
+      metadataIpfsHash: `${protocol}${this.DELETED_HASH}`,
+      contentIpfsHash: `${protocol}${this.DELETED_HASH}`,
+      gateIpfsHash: "", // _gateIPFSHash (empty for deleted files)
+      fileType: FILE_TYPE.PUBLIC,
+    };
+  }
+
+  // Failures surface as StorageError or TransactionError, with the
+  // underlying error as `cause`
+  async delete(fileId) {
+    await this.prechecks();
+    const deletedFile = await this.deletedFileUpload();
+
+    // Read metadata and content IPFS hashes from portal before deleting,
+    // in order to unpin them after a successful deletion transaction
+    const fileBeforeDelete = await this.getFileEntry(fileId);
+
+    const hash = await this.sendTransaction([
+      this.editFileCall(fileId, deletedFile),
+    ]);
+    await this.waitForTransaction(hash);
+
+    await this.unpinFile(fileBeforeDelete);
+
+    const transaction = {
+      hash: hash,
+      fileId,
+      portalAddress: this.portal.portalAddress,
+    };
+    return transaction;
+  }
+
+  // Deletes many files with a single user operation
+  async deleteBatch(fileIds) {
+    await this.prechecks();
+    if (!fileIds.length) {
+      throw new Error("At least one file is required");
+    }
+    const deletedFile = await this.deletedFileUpload();
+    const filesBeforeDelete = await Promise.all(
+      fileIds.map((fileId) => this.getFileEntry(fileId))
+    );
+
+    const hash = await this.sendTransaction(
+      fileIds.map((fileId) => this.editFileCall(fileId, deletedFile))
+    );
+    await this.waitForTransaction(hash);
+
+    await Promise.all(filesBeforeDelete.map((file) => this.unpinFile(file)));
+
+    return {
+      hash,
+      fileIds,
+      portalAddress: this.portal.portalAddress,
+    };
+  }
+
+  async sendPortalCall(functionName, args) {
+    const hash = await this.sendTransaction([{
+      to: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName,
+      args,
+    }]);
+    const receipt = await this.waitForTransaction(hash);
+    return { hash, receipt };
+  }
+
+  async getCollaborators() {
+    await this.prechecks();
+    return this.publicClient.readContract({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "getCollaborators",
+    });
+  }
+
+  async isCollaborator(address) {
+    await this.prechecks();
+    return this.publicClient.readContract({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "isCollaborator",
+      args: [address],
+    });
+  }
+
+  async getCollaboratorKeys(address) {
+    await this.prechecks();
+    const [viewDid, editDid] = await this.publicClient.readContract({
+      address: this.portal.portalAddress,
+      abi: PortalABI,
+      functionName: "collaboratorKeys",
+      args: [address],
+    });
+    return { viewDid, editDid };
+  }
+
+  async addCollaborator(address) {
+    await this.prechecks();
+    if (await this.isCollaborator(address)) {
+      throw new Error(`${address} is already a collaborator`);
+    }
+    const { hash } = await this.sendPortalCall("addCollaborator", [address]);
+    return {
+      hash,
+      collaborator: address,
+      portalAddress: this.portal.portalAddress,
+    };
+  }
+
+  async removeCollaborator(address) {
+    await this.prechecks();
+    // removeCollaborator needs the previous entry of the linked list
+    const collaborators = await this.getCollaborators();
+    const index = collaborators.findIndex(
+      (collaborator) => collaborator.toLowerCase() === address.toLowerCase()
+    );
+    if (index === -1) {
+      throw new Error(`${address} is not a collaborator`);
+    }
+    const prevCollaborator =
+      index === 0 ? SENTINEL_COLLABORATOR : collaborators[index - 1];
+    const { hash } = await this.sendPortalCall("removeCollaborator", [
+      prevCollaborator,
+      collaborators[index],
+    ]);
+    return {
+      hash,
+      collaborator: address,
+      portalAddress: this.portal.portalAddress,
+    };
+  }
+
+  // Registers the view/edit DIDs of the agent's Safe, which must already be
+  // a collaborator of the portal. Defaults to the DIDs in the portal keys.
+  async registerCollaboratorKeys(
+    viewDid = this.portal?.portalKeys?.viewDID,
+    editDid = this.portal?.portalKeys?.editDID
+  ) {
+    await this.prechecks();
+    if (!viewDid || !editDid) {
+      throw new Error("View and edit DIDs are required");
+    }
+    const { hash } = await this.sendPortalCall("registerCollaboratorKeys", [
+      viewDid,
+      editDid,
+    ]);
+    return { hash, portalAddress: this.portal.portalAddress };
+  }
+
+  async removeCollaboratorKeys() {
+    await this.prechecks();
+    const { hash } = await this.sendPortalCall("removeCollaboratorKeys", []);
+    return { hash, portalAddress: this.portal.portalAddress };
+  }
+
+  // Replaces the portal keys, e.g. after a leak: updates the on-chain key
+  // verifiers, registers the new view/edit DIDs and saves the credentials.
+  // Previous keys are kept so that existing private files stay readable.
+  async rotateKeys() {
+    await this.prechecks();
+    const portalKeys = await generatePortalKeys();
+    const verifiers = getPortalKeyVerifiers(portalKeys);
+    const portalAddress = this.portal.portalAddress;
+
+    const hash = await this.sendTransaction([
+      {
+        to: portalAddress,
+        abi: PortalABI,
+        functionName: "updateKeyVerifiers",
+        args: [
+          verifiers.portalEncryptionKeyVerifier,
+          verifiers.portalDecryptionKeyVerifier,
+          verifiers.memberEncryptionKeyVerifer,
+          verifiers.memberDecryptionKeyVerifer,
+        ],
+      },
+      {
+        to: portalAddress,
+        abi: PortalABI,
+        functionName: "registerCollaboratorKeys",
+        args: [portalKeys.viewDID, portalKeys.editDID],
+      },
+    ]);
+    await this.waitForTransaction(hash);
+
+    const previousPortalKeys = [
+      ...(this.portal.portalKeys ? [this.portal.portalKeys] : []),
+      ...(this.portal.previousPortalKeys || []),
+    ];
+    this.portal = {
+      ...this.portal,
+      portalKeys,
+      verifiers,
+      previousPortalKeys,
+    };
+    await this.credentialStore.save(this.namespace, this.portal);
+    return { hash, portalAddress };
+  }
+
+  async getPortalOwner(portalAddress = this.portal?.portalAddress) {
+    const [owner, pendingOwner] = await Promise.all([
+      this.publicClient.readContract({
+        address: portalAddress,
+        abi: PortalABI,
+        functionName: "owner",
+      }),
+      this.publicClient.readContract({
+        address: portalAddress,
+        abi: PortalABI,
+        functionName: "pendingOwner",
+      }),
+    ]);
+    return { owner, pendingOwner };
+  }
+
+  // First step of a two-step ownership handover: the new owner becomes
+  // pending until it calls acceptOwnership.
+  async transferOwnership(newOwner) {
+    await this.prechecks();
+    const { hash } = await this.sendPortalCall("transferOwnership", [newOwner]);
+    return {
+      hash,
+      pendingOwner: newOwner,
+      portalAddress: this.portal.portalAddress,
+    };
+  }
+
+  // Second step, run by the agent whose Safe is the pending owner. With a
+  // namespace, the portal and the keys handed over by the previous owner are
+  // saved to the credential store, as the registry still lists the minter.
+  async acceptOwnership(portalAddress, { namespace, portalKeys } = {}) {
+    const safeAddress = await this.getSafeAddress();
+    const { pendingOwner } = await this.getPortalOwner(portalAddress);
+    if (pendingOwner.toLowerCase() !== safeAddress.toLowerCase()) {
+      throw new Error(
+        `${safeAddress} is not the pending owner of portal ${portalAddress}`
+      );
+    }
+    if (
+      portalKeys &&
+      !(await this.verifyPortalKeys(portalAddress, portalKeys))
+    ) {
+      throw new Error(`Imported keys do not match portal ${portalAddress}`);
+    }
+    const hash = await this.sendTransaction([{
+      to: portalAddress,
+      abi: PortalABI,
+      functionName: "acceptOwnership",
+      args: [],
+    }]);
+    await this.waitForTransaction(hash);
+
+    if (namespace) {
+      this.namespace = `${namespace}-${this.chain.name.toLowerCase()}`;
+      this.portal = await this.withDeploymentBlock({
+        portalAddress,
+        owner: this.owner,
+        namespace: this.namespace,
+        portalKeys,
+        verifiers: portalKeys ? getPortalKeyVerifiers(portalKeys) : undefined,
+      });
+      await this.credentialStore.save(this.namespace, this.portal);
+    }
+    return { hash, portalAddress };
+  }
+
+  // Ed25519 keypair the agent receives and re-delegates UCANs with, created
+  // on first use and kept with the portal credentials.
+  async getDelegationKeypair() {
+    await this.prechecks();
+    if (this.portal.delegationSecret) {
+      return ucans.EdKeypair.fromSecretKey(this.portal.delegationSecret, {
+        exportable: true,
+      });
+    }
+    const keypair = await generateRandomUcanEdKeyPair();
+    this.portal = {
+      ...this.portal,
+      delegationSecret: await keypair.export(),
+    };
+    await this.credentialStore.save(this.namespace, this.portal);
+    return keypair;
+  }
+
+  // DID that delegations to this agent should be addressed to
+  async getDid() {
+    return (await this.getDelegationKeypair()).did();
+  }
+
+  // Issues a UCAN granting `can` (create, edit and/or view) on the portal's
+  // files to the audience DID. Without a proof it is signed with the portal
+  // keys: the view key for view-only tokens, the edit key otherwise. With a
+  // proof, abilities delegated to this agent are passed on, expiring no
+  // later than the proof.
+  async delegate(
+    audience,
+    {
+      can = ["create"],
+      lifetimeInSeconds,
+      expiration,
+      notBefore,
+      proof,
+    } = {}
+  ) {
+    await this.prechecks();
+    if (!audience) {
+      throw new Error("Audience DID is required");
+    }
+    const abilities = [can].flat();
+    const { editSecret, viewSecret } = this.portal.portalKeys || {};
+    let issuer;
+    if (proof) {
+      issuer = await this.getDelegationKeypair();
+    } else if (abilities.every((ability) => ability === "view") && viewSecret) {
+      issuer = ucans.EdKeypair.fromSecretKey(viewSecret);
+    } else if (editSecret) {
+      issuer = ucans.EdKeypair.fromSecretKey(editSecret);
+    } else {
+      throw new Error("Portal edit secret is required, or pass a proof");
+    }
+    return issueDelegation({
+      issuer,
+      audience,
+      portalAddress: this.portal.portalAddress,
+      can: abilities,
+      lifetimeInSeconds,
+      expiration,
+      notBefore,
+      proofs: proof ? [proof] : [],
+    });
+  }
+
+  // DIDs delegations must be rooted at: the portal's view/edit DIDs, read
+  // from the owner's registered collaborator keys when this agent doesn't
+  // hold the portal keys. Tokens signed with rotated keys no longer verify.
+  async getDelegationRoots() {
+    const { editDID, viewDID } = this.portal.portalKeys || {};
+    if (editDID && viewDID) {
+      return [editDID, viewDID];
+    }
+    const { owner } = await this.getPortalOwner();
+    const { viewDid, editDid } = await this.getCollaboratorKeys(owner);
+    return [editDid, viewDid].filter(Boolean);
+  }
+
+  // Checks that a UCAN grants every ability in `can` on the portal through
+  // a valid, unexpired and unrevoked proof chain. Defaults to the agent's
+  // own DID as audience. Returns { valid, errors } instead of throwing.
+  async verifyDelegation(
+    token,
+    { audience, can = ["create"], revocations = [] } = {}
+  ) {
+    await this.prechecks();
+    return verifyDelegation(token, {
+      audience: audience || (await this.getDid()),
+      portalAddress: this.portal.portalAddress,
+      can,
+      rootIssuers: await this.getDelegationRoots(),
+      revocations: [...(this.portal.revocations || []), ...revocations],
+    });
+  }
+
+  // Revokes a UCAN issued by this agent, with the portal keys or its
+  // delegation keypair. Holders of the edit secret can revoke any UCAN
+  // rooted at the portal. The signed record is saved with the credentials
+  // and returned, to be passed to other verifiers' verifyDelegation.
+  async revokeDelegation(token) {
+    await this.prechecks();
+    const { iss } = ucans.parse(token).payload;
+    const { editSecret, viewSecret } = this.portal.portalKeys || {};
+    const keypairs = [
+      ...[editSecret, viewSecret]
+        .filter(Boolean)
+        .map((secret) => ucans.EdKeypair.fromSecretKey(secret)),
+      await this.getDelegationKeypair(),
+    ];
+    const keypair =
+      keypairs.find((candidate) => candidate.did() === iss) ||
+      (editSecret && keypairs[0]);
+    if (!keypair) {
+      throw new Error(`Delegation was issued by ${iss}, not this agent`);
+    }
+    const revocation = await createRevocation(keypair, token);
+    this.portal = {
+      ...this.portal,
+      revocations: [...(this.portal.revocations || []), revocation],
+    };
+    await this.credentialStore.save(this.namespace, this.portal);
+    return revocation;
+  }
 }
 
 export { Agent };
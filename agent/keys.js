@@ -3,6 +3,7 @@ import { Base64 } from "js-base64";
 import { fromUint8Array } from "js-base64";
 import { generateKeyPairSync } from "crypto";
 import { sha256 } from "viem";
+import { issueDelegation } from "./delegation.js";
 
 const generateRandomRSAKeyPair = async () => {
   const { publicKey, privateKey } = generateKeyPairSync("rsa", {
@@ -85,21 +86,20 @@ const generatePortalKeys = async () => {
   };
 };
 
-async function getAuthToken(contractAddress, editSecret, recipientDID) {
-  console.log("editSecret: ", editSecret);
-  const editKeypair = ucans.EdKeypair.fromSecretKey(editSecret);
-  const ucan = await ucans.build({
-    audience: recipientDID, // recipient DID
-    issuer: editKeypair, // signing key
-    capabilities: [ // permissions for ucan
-      {
-        with: { scheme: "storage", hierPart: `${contractAddress}` },
-        can: { namespace: "file", segments: [ "CREATE" ] }
-      },
-    ]
-  })
-  const token = ucans.encode(ucan) // base64 jwt-formatted auth token
-  return token;
+// base64 jwt-formatted auth token granting `can` on the portal, signed with
+// the edit key. See Agent.delegate for expiry and re-delegation.
+async function getAuthToken(
+  contractAddress,
+  editSecret,
+  recipientDID,
+  can = ["create"]
+) {
+  return issueDelegation({
+    issuer: ucans.EdKeypair.fromSecretKey(editSecret),
+    audience: recipientDID,
+    portalAddress: contractAddress,
+    can,
+  });
 }
 
 export {
@@ -0,0 +1,251 @@
+// Version of the file metadata written by create and update, and of the
+// portal metadata. Metadata without a schemaVersion was written before the
+// schema (version 0).
+const METADATA_SCHEMA_VERSION = 1;
+
+class MetadataError extends Error {
+  constructor(message, { field, value } = {}) {
+    super(message);
+    this.name = "MetadataError";
+    this.field = field;
+    this.value = value;
+  }
+}
+
+const isPlainObject = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const assertString = (field, value, { required = false } = {}) => {
+  if (value === undefined && !required) return;
+  if (typeof value !== "string" || (required && value.trim() === "")) {
+    throw new MetadataError(`Metadata ${field} must be a string`, {
+      field,
+      value,
+    });
+  }
+};
+
+const assertDate = (field, value) => {
+  if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+    throw new MetadataError(`Metadata ${field} must be an ISO date`, {
+      field,
+      value,
+    });
+  }
+};
+
+// fileIds are stored as decimal strings, as JSON has no bigint
+const toFileIds = (value) =>
+  [value].flat().filter((fileId) => fileId !== undefined).map((fileId) => {
+    if (!/^\d+$/.test(`${fileId}`)) {
+      throw new MetadataError(`Invalid fileId ${fileId} in derivedFrom`, {
+        field: "derivedFrom",
+        value,
+      });
+    }
+    return BigInt(fileId).toString();
+  });
+
+const toStrings = (field, value) => {
+  const strings = [value].flat().filter((string) => string !== undefined);
+  for (const string of strings) {
+    if (typeof string !== "string" || string.trim() === "") {
+      throw new MetadataError(`Metadata ${field} must be non-empty strings`, {
+        field,
+        value,
+      });
+    }
+  }
+  return [...new Set(strings.map((string) => string.trim()))];
+};
+
+const toTags = (value) => toStrings("tags", value);
+
+// Throws a MetadataError for the first field that doesn't match the schema
+const validateMetadata = (metadata) => {
+  if (!isPlainObject(metadata)) {
+    throw new MetadataError("Metadata must be an object", { value: metadata });
+  }
+  if (metadata.schemaVersion !== METADATA_SCHEMA_VERSION) {
+    throw new MetadataError(
+      `Unsupported metadata schema version ${metadata.schemaVersion}`,
+      { field: "schemaVersion", value: metadata.schemaVersion }
+    );
+  }
+  assertString("name", metadata.name, { required: true });
+  assertString("title", metadata.title);
+  assertString("description", metadata.description);
+  assertString("contentType", metadata.contentType);
+  toTags(metadata.tags);
+  toFileIds(metadata.derivedFrom);
+  if (!isPlainObject(metadata.author) || !metadata.author.address) {
+    throw new MetadataError("Metadata author must have an address", {
+      field: "author",
+      value: metadata.author,
+    });
+  }
+  assertString("author.name", metadata.author.name);
+  assertDate("createdAt", metadata.createdAt);
+  assertDate("updatedAt", metadata.updatedAt);
+  assertCustom(metadata.custom);
+  return metadata;
+};
+
+const assertCustom = (custom) => {
+  if (!isPlainObject(custom)) {
+    throw new MetadataError("Metadata custom fields must be an object", {
+      field: "custom",
+      value: custom,
+    });
+  }
+  try {
+    JSON.stringify(custom);
+  } catch (error) {
+    throw new MetadataError("Metadata custom fields must be JSON", {
+      field: "custom",
+      value: custom,
+    });
+  }
+};
+
+// Both file and portal metadata are updated the same way: a field that
+// isn't passed (undefined) is carried over from the previous metadata, and
+// null clears it.
+const pickField = (fields, carried) => (field) =>
+  (fields[field] !== undefined ? fields[field] : carried[field]) ?? undefined;
+
+// Metadata for a new version of a file. User fields follow pickField, and so
+// does the author name while the same address writes the file; createdAt
+// is always carried over.
+const createMetadata = (fields, previous = null) => {
+  const carried = previous?.schemaVersion ? previous : {};
+  const now = new Date().toISOString();
+  const pick = pickField(fields, carried);
+  const metadata = {
+    schemaVersion: METADATA_SCHEMA_VERSION,
+    name: fields.name,
+    title: pick("title"),
+    description: pick("description"),
+    tags: toTags(pick("tags") || []),
+    derivedFrom: toFileIds(pick("derivedFrom") || []),
+    author: pickAuthor(fields.author, carried.author),
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+    custom: pick("custom") || {},
+  };
+  for (const field of ["title", "description"]) {
+    if (metadata[field] === undefined) delete metadata[field];
+  }
+  return validateMetadata(metadata);
+};
+
+const pickAuthor = (author, previous) => {
+  if (!isPlainObject(author)) {
+    return author;
+  }
+  const carried = previous?.address === author.address ? previous : {};
+  const { name: _, ...picked } = author;
+  const name = pickField(author, carried)("name");
+  return name === undefined ? picked : { ...picked, name };
+};
+
+// Reads metadata of any version into the current shape, keeping unknown
+// fields. Pre-schema metadata named files `<portal>/<namespace>/<fileName>`.
+const normalizeMetadata = (metadata) => {
+  if (!isPlainObject(metadata) || metadata.schemaVersion) {
+    return metadata;
+  }
+  return {
+    ...metadata,
+    schemaVersion: 0,
+    name: metadata.name?.split("/").pop(),
+    tags: [],
+    derivedFrom: [],
+    custom: {},
+  };
+};
+
+// Links are { url, label } objects, or bare URLs
+const toLinks = (value) =>
+  [value].flat().filter(Boolean).map((link) => {
+    const { url, label } = typeof link === "string" ? { url: link } : link;
+    if (typeof url !== "string" || !URL.canParse(url)) {
+      throw new MetadataError(`Invalid link ${url}`, { field: "links", value });
+    }
+    assertString("links.label", label);
+    return label === undefined ? { url } : { url, label };
+  });
+
+const validatePortalMetadata = (metadata) => {
+  if (!isPlainObject(metadata)) {
+    throw new MetadataError("Metadata must be an object", { value: metadata });
+  }
+  if (metadata.schemaVersion !== METADATA_SCHEMA_VERSION) {
+    throw new MetadataError(
+      `Unsupported metadata schema version ${metadata.schemaVersion}`,
+      { field: "schemaVersion", value: metadata.schemaVersion }
+    );
+  }
+  assertString("namespace", metadata.namespace, { required: true });
+  assertString("name", metadata.name);
+  assertString("description", metadata.description);
+  assertString("avatar", metadata.avatar);
+  toStrings("capabilities", metadata.capabilities);
+  toLinks(metadata.links);
+  assertDate("createdAt", metadata.createdAt);
+  assertDate("updatedAt", metadata.updatedAt);
+  assertCustom(metadata.custom);
+  return metadata;
+};
+
+// Portal metadata: the namespace the portal was set up with, used to find
+// it again on recovery, and a profile for humans and other agents. Profile
+// fields follow pickField.
+const createPortalMetadata = (fields, previous = null) => {
+  const carried = previous || {};
+  const now = new Date().toISOString();
+  const pick = pickField(fields, carried);
+  const metadata = {
+    schemaVersion: METADATA_SCHEMA_VERSION,
+    namespace: fields.namespace,
+    source: "FileverseAgent",
+    name: pick("name"),
+    description: pick("description"),
+    avatar: pick("avatar"),
+    capabilities: toStrings("capabilities", pick("capabilities") || []),
+    links: toLinks(pick("links") || []),
+    createdAt: carried.createdAt || now,
+    updatedAt: now,
+    custom: pick("custom") || {},
+  };
+  for (const field of ["name", "description", "avatar"]) {
+    if (metadata[field] === undefined) delete metadata[field];
+  }
+  return validatePortalMetadata(metadata);
+};
+
+const normalizePortalMetadata = (metadata) => {
+  if (!isPlainObject(metadata) || metadata.schemaVersion) {
+    return metadata;
+  }
+  return {
+    ...metadata,
+    schemaVersion: 0,
+    capabilities: [],
+    links: [],
+    custom: {},
+  };
+};
+
+export {
+  METADATA_SCHEMA_VERSION,
+  MetadataError,
+  validateMetadata,
+  createMetadata,
+  normalizeMetadata,
+  validatePortalMetadata,
+  createPortalMetadata,
+  normalizePortalMetadata,
+};
@@ -0,0 +1,79 @@
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  delay: 1000,
+  maxDelay: 30000,
+  // per attempt, in milliseconds
+  timeout: 60000,
+  receiptTimeout: 180000,
+};
+
+class TimeoutError extends Error {
+  constructor(message, { timeout } = {}) {
+    super(message);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rejects if the promise doesn't settle in time. The underlying call can't be
+// cancelled, it is only no longer waited for: onLate is called with its
+// result if it still succeeds, e.g. to undo it.
+const withTimeout = (
+  promise,
+  timeout,
+  message = "Operation timed out",
+  onLate
+) => {
+  if (!timeout) return promise;
+  let timer;
+  let timedOut = false;
+  if (onLate) {
+    promise.then(
+      (result) => timedOut && onLate(result),
+      () => {}
+    );
+  }
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new TimeoutError(message, { timeout }));
+      }, timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Runs an operation until it succeeds, backing off exponentially (with
+// jitter) between attempts. Errors for which shouldRetry returns false are
+// thrown straight away. onLateResult gets the results of attempts that
+// succeeded after timing out.
+const withRetry = async (operation, options = {}) => {
+  const {
+    retries,
+    delay,
+    maxDelay,
+    timeout,
+    shouldRetry = () => true,
+    onLateResult,
+    label = "Operation",
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(
+        operation(attempt),
+        timeout,
+        `${label} timed out after ${timeout}ms`,
+        onLateResult
+      );
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const backoff = Math.min(delay * 2 ** attempt, maxDelay);
+      await sleep(backoff / 2 + Math.random() * (backoff / 2));
+    }
+  }
+};
+
+export { DEFAULT_RETRY_OPTIONS, TimeoutError, withTimeout, withRetry };
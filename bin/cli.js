@@ -1,21 +1,27 @@
 #!/usr/bin/env node
-const yargs = require('yargs');
-const readline = require('readline');
-const figlet = require('figlet');
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import yargs from "yargs";
+import { hideBin } from "yargs/helpers";
+import figlet from "figlet";
+import { privateKeyToAccount } from "viem/accounts";
 
-const { Agent } = require('../index');
-
-const getProjectName = async () => {
-    let projectName = yargs.argv.name;
-
-    if (!projectName) {
-        const rl = createInterface();
-        projectName = await askQuestion(rl, 'Enter project name: ');
-        rl.close();
-    }
-
-    return projectName;
-};
+import {
+    Agent,
+    PinataStorageProvider,
+    SwarmStorageProvider,
+    LocalStorageProvider,
+    KuboStorageProvider,
+    S3StorageProvider,
+    ReplicatedStorageProvider,
+    FileSystemCredentialStore,
+    EncryptedFileCredentialStore,
+    FileSystemIndexStore,
+    BundlerTransactionBackend,
+    EOATransactionBackend,
+} from "../index.js";
 
 const createInterface = () => {
     return readline.createInterface({
@@ -32,24 +38,528 @@ const askQuestion = (rl, question) => {
     });
 };
 
-const main = async () => {
-    console.log("Fileverse Agents Kickstart!!!");
-    const projectName = await getProjectName();
-    console.log(`Project name **${projectName}**`);
-    // fetching latest block number from gnosis chain
-    const chain = 'gnosis';
-    console.log(`Fetching latest block number from ${chain} chain`);
-    const agent = new Agent(chain);
-    const latestBlockNumber = await agent.getBlockNumber();
-    console.log(`Latest block number: ${latestBlockNumber}`);
-    figlet("Work  in  Progress !", function (err, data) {
-        if (err) {
-          console.log("Something went wrong...");
-          console.dir(err);
-          return;
+const getNamespace = async (argv) => {
+    let namespace = argv.namespace;
+
+    if (!namespace) {
+        const rl = createInterface();
+        namespace = await askQuestion(rl, "Enter namespace: ");
+        rl.close();
+    }
+
+    return namespace;
+};
+
+const printJSON = (data) => {
+    console.log(
+        JSON.stringify(
+            data,
+            (key, value) => (typeof value === "bigint" ? value.toString() : value),
+            2
+        )
+    );
+};
+
+const createStorageProvider = (argv) => {
+    const storage = [...new Set(argv.storage)];
+    if (storage.length > 1) {
+        return new ReplicatedStorageProvider({
+            providers: storage.map((name) =>
+                createStorageProvider({ ...argv, storage: [name] })
+            ),
+            quorum: argv.quorum,
+        });
+    }
+    if (storage[0] === "local") {
+        return new LocalStorageProvider({
+            directory: process.env.LOCAL_STORAGE_DIR,
+        });
+    }
+    if (storage[0] === "kubo") {
+        return new KuboStorageProvider({
+            apiUrl: process.env.IPFS_API_URL,
+        });
+    }
+    if (storage[0] === "s3") {
+        return new S3StorageProvider({
+            endpoint: process.env.S3_ENDPOINT,
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            prefix: process.env.S3_PREFIX,
+        });
+    }
+    if (storage[0] === "swarm") {
+        return new SwarmStorageProvider({
+            beeUrl: process.env.BEE_URL,
+            postageBatchId: process.env.POSTAGE_BATCH_ID,
+            batchPolicy: {
+                buy: process.env.POSTAGE_BATCH_BUY === "true",
+                topUp: process.env.POSTAGE_BATCH_TOP_UP === "true",
+            },
+        });
+    }
+    return new PinataStorageProvider({
+        pinataJWT: process.env.PINATA_JWT,
+        pinataGateway: process.env.PINATA_GATEWAY,
+    });
+};
+
+const createCredentialStore = () => {
+    const directory = process.env.CREDENTIALS_DIR || "creds";
+    if (process.env.CREDENTIALS_PASSPHRASE) {
+        return new EncryptedFileCredentialStore({
+            directory,
+            passphrase: process.env.CREDENTIALS_PASSPHRASE,
+        });
+    }
+    return new FileSystemCredentialStore({ directory });
+};
+
+const createTransactionBackend = (argv) => {
+    if (argv.backend === "eoa") {
+        return new EOATransactionBackend();
+    }
+    if (argv.backend === "bundler") {
+        return new BundlerTransactionBackend({
+            bundlerUrl: process.env.BUNDLER_URL,
+            paymasterUrl: process.env.PAYMASTER_URL,
+        });
+    }
+    return undefined;
+};
+
+const createAgent = (argv) => {
+    if (!process.env.PRIVATE_KEY) {
+        throw new Error("PRIVATE_KEY is required");
+    }
+    return new Agent({
+        chain: argv.chain,
+        rpcUrl: argv.rpcUrl,
+        portalRegistry: process.env.PORTAL_REGISTRY,
+        viemAccount: privateKeyToAccount(process.env.PRIVATE_KEY),
+        pimlicoAPIKey: process.env.PIMLICO_API_KEY,
+        storageProvider: createStorageProvider(argv),
+        credentialStore: createCredentialStore(),
+        transactionBackend: createTransactionBackend(argv),
+        indexStore: new FileSystemIndexStore({
+            directory: process.env.INDEX_DIR,
+        }),
+    });
+};
+
+// Attaches to the portal created by `setup`, without minting a new one
+const loadAgent = async (argv) => {
+    const agent = createAgent(argv);
+    const namespace = await getNamespace(argv);
+    const storage = await agent.loadStorage(
+        `${namespace}-${agent.chain.name.toLowerCase()}`
+    );
+    if (!storage) {
+        throw new Error(
+            `No portal found for namespace ${namespace}, run setup first`
+        );
+    }
+    await agent.setupStorage(namespace);
+    return agent;
+};
+
+const setup = async (argv) => {
+    console.log(figlet.textSync("Fileverse Agents"));
+    const agent = createAgent(argv);
+    const portalKeys = argv.keys
+        ? JSON.parse(fs.readFileSync(argv.keys, "utf8"))
+        : undefined;
+    const portalAddress = await agent.setupStorage(argv.namespace, {
+        portalKeys: portalKeys?.portalKeys || portalKeys,
+        recover: argv.recover,
+    });
+    if (agent.recovered && !agent.portal.portalKeys) {
+        console.error(
+            "Recovered the portal without keys, private files are unavailable - pass --keys to import them"
+        );
+    }
+    printJSON({
+        namespace: agent.namespace,
+        portalAddress,
+        recovered: agent.recovered,
+    });
+};
+
+// Metadata options shared by create and update
+const metadataOptions = (command) =>
+    command
+        .option("title", { describe: "Title of the file", type: "string" })
+        .option("description", { type: "string" })
+        .option("tag", {
+            describe: "Tag of the file, repeat for several",
+            type: "array",
+            string: true,
+        })
+        .option("derived-from", {
+            describe: "fileId this file was derived from, repeat for several",
+            type: "array",
+            string: true,
+        })
+        .option("custom", {
+            describe: "JSON object of custom metadata fields",
+            type: "string",
+            coerce: (value) => (value === undefined ? value : JSON.parse(value)),
+        });
+
+const toMetadata = (argv) => ({
+    title: argv.title,
+    description: argv.description,
+    tags: argv.tag,
+    derivedFrom: argv.derivedFrom,
+    custom: argv.custom,
+});
+
+const create = async (argv) => {
+    const agent = await loadAgent(argv);
+    const result = await agent.create(fs.createReadStream(argv.file), {
+        isPrivate: argv.private,
+        fileName: path.basename(argv.file),
+        contentType: argv.contentType,
+        ...toMetadata(argv),
+    });
+    printJSON(result);
+};
+
+const update = async (argv) => {
+    const agent = await loadAgent(argv);
+    const result = await agent.update(
+        BigInt(argv.fileId),
+        fs.createReadStream(argv.file),
+        {
+            isPrivate: argv.private,
+            keepPreviousVersions: argv.keepPrevious,
+            fileName: path.basename(argv.file),
+            contentType: argv.contentType,
+            ...toMetadata(argv),
         }
-        console.log(data);
+    );
+    printJSON(result);
+};
+
+const get = async (argv) => {
+    const agent = await loadAgent(argv);
+    const file = await agent.read(BigInt(argv.fileId), {
+        encoding: argv.output ? null : undefined,
     });
+    if (file.deleted) {
+        throw new Error(`File ${argv.fileId} has been deleted`);
+    }
+    if (argv.output) {
+        fs.writeFileSync(argv.output, file.content);
+        printJSON({ ...file, content: argv.output });
+        return;
+    }
+    if (argv.json) {
+        printJSON({
+            ...file,
+            content: Buffer.isBuffer(file.content)
+                ? file.content.toString("base64")
+                : file.content,
+        });
+        return;
+    }
+    process.stdout.write(file.content);
+};
+
+const remove = async (argv) => {
+    const agent = await loadAgent(argv);
+    const result = await agent.delete(BigInt(argv.fileId));
+    printJSON(result);
 };
 
-main().catch(console.error);
\ No newline at end of file
+const list = async (argv) => {
+    const agent = await loadAgent(argv);
+    const result = await agent.listFiles({
+        page: argv.page,
+        pageSize: argv.pageSize,
+        includeDeleted: argv.includeDeleted,
+        withMetadata: argv.metadata,
+    });
+    printJSON(result);
+};
+
+const search = async (argv) => {
+    const agent = await loadAgent(argv);
+    if (argv.sync) {
+        await agent.syncIndex({ includePrivate: argv.private });
+    }
+    const results = await agent.searchFiles(argv.query, {
+        name: argv.name,
+        tag: argv.tag,
+        author: argv.author,
+        from: argv.from,
+        to: argv.to,
+        contentType: argv.contentType,
+        includeDeleted: argv.includeDeleted,
+        limit: argv.limit,
+    });
+    printJSON(results);
+};
+
+// Prints the portal's profile, or updates it when any field is given
+const profile = async (argv) => {
+    const agent = await loadAgent(argv);
+    const fields = {
+        name: argv.displayName,
+        description: argv.description,
+        avatar: argv.avatar,
+        capabilities: argv.capability,
+        links: argv.link,
+    };
+    if (Object.values(fields).every((value) => value === undefined)) {
+        printJSON(await agent.readPortalMetadata());
+        return;
+    }
+    printJSON(await agent.updatePortalMetadata(fields));
+};
+
+// Prints portal events as they happen, until interrupted
+const watch = async (argv) => {
+    const agent = await loadAgent(argv);
+    const controller = new AbortController();
+    process.on("SIGINT", () => controller.abort());
+    for await (const event of agent.watchPortalEvents({
+        events: argv.events,
+        fromBlock: argv.fromBlock,
+        cursor: argv.cursor,
+        withContent: argv.content,
+        signal: controller.signal,
+    })) {
+        printJSON(event);
+    }
+};
+
+yargs(hideBin(process.argv))
+    .scriptName("fileverse-agents")
+    .usage("$0 <command> [options]")
+    .option("chain", {
+        describe: "Chain to use - gnosis, sepolia, or any viem chain name or id",
+        type: "string",
+        default: process.env.CHAIN || "gnosis",
+    })
+    .option("rpc-url", {
+        describe: "RPC URL(s) to use, tried in order",
+        type: "array",
+        string: true,
+        default: process.env.RPC_URL ? process.env.RPC_URL.split(",") : undefined,
+    })
+    .option("storage", {
+        describe: "Storage provider(s) to upload to, replicated when more than one is given",
+        type: "array",
+        choices: ["pinata", "swarm", "kubo", "s3", "local"],
+        default: (process.env.STORAGE_PROVIDER || "pinata").split(","),
+    })
+    .option("quorum", {
+        describe: "Number of storage providers an upload must succeed on, all by default",
+        type: "number",
+        default: process.env.STORAGE_QUORUM
+            ? Number(process.env.STORAGE_QUORUM)
+            : undefined,
+    })
+    .option("backend", {
+        describe: "How transactions are sent: Pimlico, any ERC-4337 bundler, or directly from the account",
+        choices: ["pimlico", "bundler", "eoa"],
+        default: process.env.TRANSACTION_BACKEND || "pimlico",
+    })
+    .option("namespace", {
+        alias: "n",
+        describe: "Namespace of the portal, as passed to setup",
+        type: "string",
+        default: process.env.NAMESPACE,
+    })
+    .command(
+        "setup <namespace>",
+        "Deploy a portal for a namespace or load the existing one",
+        (command) =>
+            command
+                .positional("namespace", { type: "string" })
+                .option("recover", {
+                    describe: "Re-attach to a portal with this namespace found in the registry instead of minting",
+                    type: "boolean",
+                    default: true,
+                })
+                .option("keys", {
+                    describe: "JSON file with the portal keys (or a credentials backup) to import when recovering",
+                    type: "string",
+                }),
+        setup
+    )
+    .command(
+        "create <file>",
+        "Upload a file and add it to the portal",
+        (command) =>
+            metadataOptions(command)
+                .positional("file", { type: "string" })
+                .option("private", {
+                    describe: "Encrypt the file with the portal keys",
+                    type: "boolean",
+                    default: false,
+                })
+                .option("content-type", {
+                    describe: "MIME type of the file, inferred from its extension by default",
+                    type: "string",
+                }),
+        create
+    )
+    .command(
+        "update <fileId> <file>",
+        "Replace the content of a file",
+        (command) =>
+            metadataOptions(command)
+                .positional("fileId", { type: "string" })
+                .positional("file", { type: "string" })
+                .option("private", {
+                    describe: "Encrypt the file with the portal keys (defaults to the current filetype)",
+                    type: "boolean",
+                })
+                .option("keep-previous", {
+                    describe: "Keep the previous version pinned",
+                    type: "boolean",
+                    default: false,
+                })
+                .option("content-type", {
+                    describe: "MIME type of the file, inferred from its extension by default",
+                    type: "string",
+                }),
+        update
+    )
+    .command(
+        "get <fileId>",
+        "Print the content of a file",
+        (command) =>
+            command
+                .positional("fileId", { type: "string" })
+                .option("output", {
+                    alias: "o",
+                    describe: "Write the content to a file instead of stdout",
+                    type: "string",
+                })
+                .option("json", {
+                    describe: "Print the file entry, metadata and content as JSON",
+                    type: "boolean",
+                    default: false,
+                }),
+        get
+    )
+    .command(
+        "delete <fileId>",
+        "Delete a file from the portal",
+        (command) => command.positional("fileId", { type: "string" }),
+        remove
+    )
+    .command(
+        "list",
+        "List the files in the portal",
+        (command) =>
+            command
+                .option("page", { type: "number", default: 0 })
+                .option("page-size", { type: "number", default: 25 })
+                .option("include-deleted", { type: "boolean", default: false })
+                .option("metadata", {
+                    describe: "Download the metadata of each file",
+                    type: "boolean",
+                    default: false,
+                }),
+        list
+    )
+    .command(
+        "search [query]",
+        "Search the files in the portal through the local index",
+        (command) =>
+            command
+                .positional("query", {
+                    describe: "Words to find in file names and content",
+                    type: "string",
+                })
+                .option("name", { describe: "Part of the file name", type: "string" })
+                .option("tag", { describe: "Tag of the file", type: "string" })
+                .option("author", { describe: "Address that wrote the file", type: "string" })
+                .option("from", { describe: "Updated on or after this date", type: "string" })
+                .option("to", { describe: "Updated on or before this date", type: "string" })
+                .option("content-type", { type: "string" })
+                .option("include-deleted", { type: "boolean", default: false })
+                .option("limit", { type: "number", default: 25 })
+                .option("sync", {
+                    describe: "Index new files before searching",
+                    type: "boolean",
+                    default: true,
+                })
+                .option("private", {
+                    describe: "Index the decrypted content of private files",
+                    type: "boolean",
+                    default: false,
+                }),
+        search
+    )
+    .command(
+        "profile",
+        "Show or update the portal's profile",
+        (command) =>
+            command
+                .option("display-name", { describe: "Name shown for the agent", type: "string" })
+                .option("description", { type: "string" })
+                .option("avatar", { describe: "URL or storage reference of an image", type: "string" })
+                .option("capability", {
+                    describe: "What the agent can do, repeat for several",
+                    type: "array",
+                    string: true,
+                })
+                .option("link", {
+                    describe: "URL to list on the profile, repeat for several",
+                    type: "array",
+                    string: true,
+                }),
+        profile
+    )
+    .command(
+        "watch",
+        "Print portal events as they are emitted",
+        (command) =>
+            command
+                .option("events", {
+                    describe: "Events to print",
+                    type: "array",
+                    choices: [
+                        "AddedFile",
+                        "EditedFile",
+                        "AddedCollaborator",
+                        "RemovedCollaborator",
+                        "UpdatedPortalMetadata",
+                    ],
+                })
+                .option("from-block", {
+                    describe: "Print past events from this block first",
+                    type: "string",
+                })
+                .option("cursor", {
+                    describe: "Name of a saved position to resume from and update",
+                    type: "string",
+                })
+                .option("content", {
+                    describe: "Download the file or metadata each event points at",
+                    type: "boolean",
+                    default: false,
+                }),
+        watch
+    )
+    .demandCommand(1)
+    .strict()
+    .fail((message, error, cli) => {
+        if (error) throw error;
+        console.error(message);
+        cli.showHelp();
+        process.exit(1);
+    })
+    .help()
+    .parseAsync()
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
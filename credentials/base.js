@@ -0,0 +1,15 @@
+class BaseCredentialStore {
+  async load(namespace) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(namespace, credentials) {
+    throw new Error('Method not implemented');
+  }
+
+  async remove(namespace) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export { BaseCredentialStore };
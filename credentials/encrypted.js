@@ -0,0 +1,53 @@
+import { randomBytes, scryptSync } from "crypto";
+import { FileSystemCredentialStore } from "./filesystem.js";
+import { encryptWithFileKey, decryptWithFileKey } from "../agent/crypto.js";
+
+const SALT_LENGTH = 16;
+
+// Same layout as FileSystemCredentialStore, but each file holds the
+// credentials encrypted with a key derived from the passphrase.
+class EncryptedFileCredentialStore extends FileSystemCredentialStore {
+  constructor({ directory = "creds", passphrase } = {}) {
+    super({ directory });
+    if (!passphrase) {
+      throw new Error("Passphrase is required");
+    }
+    this.passphrase = passphrase;
+  }
+
+  deriveKey(salt) {
+    return scryptSync(this.passphrase, salt, 32);
+  }
+
+  async load(namespace) {
+    const data = await this.read(namespace);
+    if (data === null) {
+      return null;
+    }
+    const { salt, ciphertext } = JSON.parse(data);
+    try {
+      const key = this.deriveKey(Buffer.from(salt, "base64"));
+      return JSON.parse(decryptWithFileKey(key, ciphertext).toString());
+    } catch (error) {
+      throw new Error(`Unable to decrypt credentials for ${namespace}`);
+    }
+  }
+
+  async save(namespace, credentials) {
+    const salt = randomBytes(SALT_LENGTH);
+    const ciphertext = encryptWithFileKey(
+      this.deriveKey(salt),
+      JSON.stringify(credentials)
+    );
+    await this.write(
+      namespace,
+      JSON.stringify(
+        { version: 1, kdf: "scrypt", salt: salt.toString("base64"), ciphertext },
+        null,
+        2
+      )
+    );
+  }
+}
+
+export { EncryptedFileCredentialStore };
@@ -0,0 +1,29 @@
+import { MemoryCredentialStore } from "./memory.js";
+
+// Reads credentials from a JSON blob, e.g. a secret injected as an environment
+// variable. The blob maps namespaces to credentials, or holds the credentials
+// of a single portal. Saved credentials only live as long as the process.
+class EnvironmentCredentialStore extends MemoryCredentialStore {
+  constructor({ variable = "FILEVERSE_CREDENTIALS", json } = {}) {
+    const blob = json ?? process.env[variable];
+    const parsed = blob ? (typeof blob === "string" ? JSON.parse(blob) : blob) : {};
+    super(parsed.namespace ? { [parsed.namespace]: parsed } : parsed);
+    this.variable = json === undefined ? variable : null;
+    this.warned = false;
+  }
+
+  // Warns on the first save only, as most agent operations save
+  async save(namespace, credentials) {
+    if (!this.warned) {
+      this.warned = true;
+      console.warn(
+        `Credentials for ${namespace} were not saved${
+          this.variable ? ` to ${this.variable}` : ""
+        }: they are kept in memory only and will be lost on exit`
+      );
+    }
+    await super.save(namespace, credentials);
+  }
+}
+
+export { EnvironmentCredentialStore };
@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+import { BaseCredentialStore } from "./base.js";
+
+class FileSystemCredentialStore extends BaseCredentialStore {
+  constructor({ directory = "creds" } = {}) {
+    super();
+    this.directory = directory;
+  }
+
+  filePath(namespace) {
+    return path.join(this.directory, `${namespace}.json`);
+  }
+
+  async read(namespace) {
+    const filePath = this.filePath(namespace);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return fs.readFileSync(filePath, "utf8");
+  }
+
+  async write(namespace, data) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.filePath(namespace), data, { mode: 0o600 });
+  }
+
+  async load(namespace) {
+    const data = await this.read(namespace);
+    return data === null ? null : JSON.parse(data);
+  }
+
+  async save(namespace, credentials) {
+    await this.write(namespace, JSON.stringify(credentials, null, 2));
+  }
+
+  async remove(namespace) {
+    fs.rmSync(this.filePath(namespace), { force: true });
+  }
+}
+
+export { FileSystemCredentialStore };
@@ -0,0 +1,21 @@
+import { BaseCredentialStore } from "./base.js";
+import { FileSystemCredentialStore } from "./filesystem.js";
+import { EncryptedFileCredentialStore } from "./encrypted.js";
+import { MemoryCredentialStore } from "./memory.js";
+import { EnvironmentCredentialStore } from "./environment.js";
+
+export {
+  BaseCredentialStore,
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+};
+
+export default {
+  BaseCredentialStore,
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+};
@@ -0,0 +1,22 @@
+import { BaseCredentialStore } from "./base.js";
+
+class MemoryCredentialStore extends BaseCredentialStore {
+  constructor(initialCredentials = {}) {
+    super();
+    this.credentials = new Map(Object.entries(initialCredentials));
+  }
+
+  async load(namespace) {
+    return this.credentials.get(namespace) || null;
+  }
+
+  async save(namespace, credentials) {
+    this.credentials.set(namespace, credentials);
+  }
+
+  async remove(namespace) {
+    this.credentials.delete(namespace);
+  }
+}
+
+export { MemoryCredentialStore };
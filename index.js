@@ -1,15 +1,63 @@
 import { Agent } from "./agent/index.js";
+import { TimeoutError } from "./agent/retry.js";
+import { MetadataError } from "./agent/metadata.js";
 import {
   PinataStorageProvider,
   SwarmStorageProvider,
+  LocalStorageProvider,
+  KuboStorageProvider,
+  S3StorageProvider,
+  ReplicatedStorageProvider,
   BaseStorageProvider,
+  StorageError,
+  IntegrityError,
 } from "./storage/index.js";
+import {
+  BaseCredentialStore,
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+} from "./credentials/index.js";
+import {
+  BaseIndexStore,
+  FileSystemIndexStore,
+  MemoryIndexStore,
+} from "./search/index.js";
+import {
+  BaseTransactionBackend,
+  BundlerTransactionBackend,
+  PimlicoTransactionBackend,
+  EOATransactionBackend,
+  TransactionError,
+} from "./transactions/index.js";
 
 export {
   Agent,
   PinataStorageProvider,
   SwarmStorageProvider,
+  LocalStorageProvider,
+  KuboStorageProvider,
+  S3StorageProvider,
+  ReplicatedStorageProvider,
   BaseStorageProvider,
+  BaseCredentialStore,
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+  BaseIndexStore,
+  FileSystemIndexStore,
+  MemoryIndexStore,
+  BaseTransactionBackend,
+  BundlerTransactionBackend,
+  PimlicoTransactionBackend,
+  EOATransactionBackend,
+  StorageError,
+  IntegrityError,
+  TransactionError,
+  TimeoutError,
+  MetadataError,
 };
 
 export default {
@@ -17,4 +65,25 @@ export default {
   BaseStorageProvider,
   PinataStorageProvider,
   SwarmStorageProvider,
+  LocalStorageProvider,
+  KuboStorageProvider,
+  S3StorageProvider,
+  ReplicatedStorageProvider,
+  BaseCredentialStore,
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+  BaseIndexStore,
+  FileSystemIndexStore,
+  MemoryIndexStore,
+  BaseTransactionBackend,
+  BundlerTransactionBackend,
+  PimlicoTransactionBackend,
+  EOATransactionBackend,
+  StorageError,
+  IntegrityError,
+  TransactionError,
+  TimeoutError,
+  MetadataError,
 };
@@ -0,0 +1,17 @@
+// Stores the local index of a portal's files, one document per namespace:
+// { syncedBlock, files: { [fileId]: record } }
+class BaseIndexStore {
+  async load(namespace) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(namespace, index) {
+    throw new Error('Method not implemented');
+  }
+
+  async remove(namespace) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export { BaseIndexStore };
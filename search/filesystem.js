@@ -0,0 +1,39 @@
+import fs from "fs";
+import path from "path";
+import { BaseIndexStore } from "./base.js";
+
+class FileSystemIndexStore extends BaseIndexStore {
+  constructor({ directory = ".fileverse/index" } = {}) {
+    super();
+    this.directory = directory;
+  }
+
+  filePath(namespace) {
+    return path.join(this.directory, `${namespace}.json`);
+  }
+
+  async load(namespace) {
+    const filePath = this.filePath(namespace);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  // Written to a temporary file first, so an interrupted sync can't leave a
+  // truncated index behind
+  async save(namespace, index) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = this.filePath(namespace);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(index), {
+      mode: 0o600,
+    });
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  async remove(namespace) {
+    fs.rmSync(this.filePath(namespace), { force: true });
+  }
+}
+
+export { FileSystemIndexStore };
@@ -0,0 +1,18 @@
+import { BaseIndexStore } from "./base.js";
+import { FileSystemIndexStore } from "./filesystem.js";
+import { MemoryIndexStore } from "./memory.js";
+import { tokenize, searchRecords } from "./query.js";
+
+export {
+  BaseIndexStore,
+  FileSystemIndexStore,
+  MemoryIndexStore,
+  tokenize,
+  searchRecords,
+};
+
+export default {
+  BaseIndexStore,
+  FileSystemIndexStore,
+  MemoryIndexStore,
+};
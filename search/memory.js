@@ -0,0 +1,22 @@
+import { BaseIndexStore } from "./base.js";
+
+class MemoryIndexStore extends BaseIndexStore {
+  constructor() {
+    super();
+    this.indexes = new Map();
+  }
+
+  async load(namespace) {
+    return this.indexes.get(namespace) || null;
+  }
+
+  async save(namespace, index) {
+    this.indexes.set(namespace, index);
+  }
+
+  async remove(namespace) {
+    this.indexes.delete(namespace);
+  }
+}
+
+export { MemoryIndexStore };
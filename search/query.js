@@ -0,0 +1,109 @@
+const NAME_WEIGHT = 3;
+const SNIPPET_LENGTH = 160;
+
+// Lowercased words of a text, with markdown punctuation dropped
+const tokenize = (text) =>
+  (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Dates may be given as Date objects, ISO strings or unix seconds
+const toTimestamp = (date) => {
+  if (date === undefined || date === null) return undefined;
+  if (typeof date === "number" || typeof date === "bigint") return Number(date);
+  if (/^\d+$/.test(date)) return Number(date);
+  return Math.floor(new Date(date).getTime() / 1000);
+};
+
+const matchesName = (record, name) => {
+  if (!name) return true;
+  if (!record.name) return false;
+  return name instanceof RegExp
+    ? name.test(record.name)
+    : record.name.toLowerCase().includes(name.toLowerCase());
+};
+
+const matchesAuthor = (record, author) =>
+  !author ||
+  [record.createdBy, record.updatedBy, record.author]
+    .filter(Boolean)
+    .some((by) => by.toLowerCase() === author.toLowerCase());
+
+// Occurrences of each query term, or 0 when a term is missing: every term
+// must match, in the name, title, tags or text
+const score = (record, terms) => {
+  if (terms.length === 0) return 0;
+  const nameTokens = tokenize(
+    [record.name, record.title, ...(record.tags || [])].join(" ")
+  );
+  const textTokens = tokenize(record.text);
+  let total = 0;
+  for (const term of terms) {
+    const count =
+      NAME_WEIGHT * nameTokens.filter((token) => token.startsWith(term)).length +
+      textTokens.filter((token) => token.startsWith(term)).length;
+    if (count === 0) return 0;
+    total += count;
+  }
+  return total;
+};
+
+const getSnippet = (text, terms) => {
+  if (!text) return null;
+  const lowerText = text.toLowerCase();
+  const matches = terms
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index >= 0);
+  const position = matches.length
+    ? Math.max(0, Math.min(...matches) - SNIPPET_LENGTH / 4)
+    : 0;
+  const snippet = text
+    .slice(position, position + SNIPPET_LENGTH)
+    .replace(/\s+/g, " ")
+    .trim();
+  return `${position > 0 ? "..." : ""}${snippet}${
+    position + SNIPPET_LENGTH < text.length ? "..." : ""
+  }`;
+};
+
+// Filters and ranks index records. Without query text, matches are sorted
+// by last update, newest first.
+const searchRecords = (records, text, filters = {}) => {
+  const {
+    name,
+    tag,
+    author,
+    from,
+    to,
+    contentType,
+    includeDeleted = false,
+    limit,
+  } = filters;
+  const terms = tokenize(text);
+  const fromTimestamp = toTimestamp(from);
+  const toTimestampValue = toTimestamp(to);
+  const results = [];
+  for (const record of records) {
+    if (record.deleted && !includeDeleted) continue;
+    if (!matchesName(record, name) || !matchesAuthor(record, author)) continue;
+    if (contentType && record.contentType !== contentType) continue;
+    if (tag && !(record.tags || []).includes(tag)) continue;
+    if (fromTimestamp !== undefined && record.updatedAt < fromTimestamp) continue;
+    if (toTimestampValue !== undefined && record.updatedAt > toTimestampValue) {
+      continue;
+    }
+    const recordScore = score(record, terms);
+    if (terms.length > 0 && recordScore === 0) continue;
+    const { text: recordText, ...rest } = record;
+    results.push({
+      ...rest,
+      score: recordScore,
+      snippet: terms.length > 0 ? getSnippet(recordText, terms) : null,
+    });
+  }
+  results.sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt);
+  return limit ? results.slice(0, limit) : results;
+};
+
+export { tokenize, searchRecords };
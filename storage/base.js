@@ -1,12 +1,27 @@
 class BaseStorageProvider {
-  async upload(fileName, content) {
+  async upload(fileName, content, options = {}) {
     throw new Error('Method not implemented');
   }
 
-  async download(reference) {
+  async download(reference, options = {}) {
     throw new Error('Method not implemented');
   }
 
+  // References the content of an upload was stored under, for providers
+  // that replicate uploads to several backends
+  getReplicas(reference) {
+    return [reference];
+  }
+
+  // Drops the replicas held for a reference once the caller recorded them
+  forgetReplicas(reference) {}
+
+  // Checks downloaded content against its reference. Returns null when the
+  // reference can't be recomputed from the content alone.
+  async verify(reference, content) {
+    return null;
+  }
+
   async unpin(reference) {
     throw new Error('Method not implemented');
   }
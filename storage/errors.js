@@ -0,0 +1,24 @@
+// Thrown when a storage provider call still fails after retries. The
+// provider's error is kept as `cause`.
+class StorageError extends Error {
+  constructor(message, { operation, reference, cause } = {}) {
+    super(message, { cause });
+    this.name = "StorageError";
+    this.operation = operation;
+    this.reference = reference;
+  }
+}
+
+// Thrown when downloaded bytes don't match the reference they were requested
+// by, or the digest recorded for them in the file metadata.
+class IntegrityError extends Error {
+  constructor(message, { reference, expected, actual } = {}) {
+    super(message);
+    this.name = "IntegrityError";
+    this.reference = reference;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+export { StorageError, IntegrityError };
@@ -1,11 +1,32 @@
 import { BaseStorageProvider } from "./base.js";
 import { PinataStorageProvider } from "./pinata.js";
 import { SwarmStorageProvider } from "./swarm.js";
+import { LocalStorageProvider } from "./local.js";
+import { KuboStorageProvider } from "./kubo.js";
+import { S3StorageProvider } from "./s3.js";
+import { ReplicatedStorageProvider } from "./replicated.js";
+import { StorageError, IntegrityError } from "./errors.js";
 
-export { BaseStorageProvider, PinataStorageProvider, SwarmStorageProvider };
+export {
+  BaseStorageProvider,
+  PinataStorageProvider,
+  SwarmStorageProvider,
+  LocalStorageProvider,
+  KuboStorageProvider,
+  S3StorageProvider,
+  ReplicatedStorageProvider,
+  StorageError,
+  IntegrityError,
+};
 
 export default {
   BaseStorageProvider,
   PinataStorageProvider,
   SwarmStorageProvider,
+  LocalStorageProvider,
+  KuboStorageProvider,
+  S3StorageProvider,
+  ReplicatedStorageProvider,
+  StorageError,
+  IntegrityError,
 };
@@ -0,0 +1,100 @@
+import { BaseStorageProvider } from "./base.js";
+import { verifyCid } from "./utils.js";
+
+// IPFS through a Kubo node's HTTP RPC API (/api/v0). Uploads are added with
+// CIDv1 and pinned on the node, and references start with `ipfs://` like
+// Pinata's, so both can replicate the same content.
+class KuboStorageProvider extends BaseStorageProvider {
+  constructor({ apiUrl = "http://127.0.0.1:5001", headers = {} } = {}) {
+    super();
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    // e.g. { Authorization: "Bearer ..." } for nodes behind an auth proxy
+    this.headers = headers;
+  }
+
+  async protocol() {
+    return "ipfs://";
+  }
+
+  async stripProtocol(reference) {
+    const protocol = await this.protocol();
+    return typeof reference === "string"
+      ? reference.replace(protocol, "")
+      : reference;
+  }
+
+  // Every RPC endpoint is POST-only
+  async request(command, { args = {}, body } = {}) {
+    const url = new URL(`${this.apiUrl}/api/v0/${command}`);
+    for (const [key, value] of Object.entries(args)) {
+      url.searchParams.set(key, value);
+    }
+    const response = await fetch(url, {
+      method: "POST",
+      headers: this.headers,
+      body,
+    });
+    if (!response.ok) {
+      throw new Error(
+        `Kubo ${command} failed (${response.status}): ${await response.text()}`
+      );
+    }
+    return response;
+  }
+
+  async upload(fileName, content, options = {}) {
+    try {
+      const protocol = await this.protocol();
+      const body = new FormData();
+      body.append(
+        "file",
+        new Blob([content], { type: options.contentType || "text/plain" }),
+        fileName
+      );
+      const response = await this.request("add", {
+        args: { "cid-version": 1, pin: true },
+        body,
+      });
+      // One JSON object per line, the added file is the last one
+      const lines = (await response.text()).trim().split("\n");
+      const { Hash } = JSON.parse(lines[lines.length - 1]);
+      return `${protocol}${Hash}`;
+    } catch (error) {
+      console.error("Error uploading to Kubo:", error);
+      throw error;
+    }
+  }
+
+  async unpin(reference) {
+    try {
+      const protocol = await this.protocol();
+      const cid = await this.stripProtocol(reference);
+      await this.request("pin/rm", { args: { arg: cid } });
+      return `${protocol}${cid}`;
+    } catch (error) {
+      console.error("Error unpinning from Kubo:", error);
+      throw error;
+    }
+  }
+
+  async download(reference) {
+    const cid = await this.stripProtocol(reference);
+    const response = await this.request("cat", { args: { arg: cid } });
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async verify(reference, content) {
+    return verifyCid(await this.stripProtocol(reference), content);
+  }
+
+  async isConnected() {
+    try {
+      await this.request("version");
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export { KuboStorageProvider };
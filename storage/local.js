@@ -0,0 +1,106 @@
+import fs from "fs";
+import path from "path";
+import { BaseStorageProvider } from "./base.js";
+import { toBuffer, computeRawCid, verifyCid } from "./utils.js";
+
+class LocalStorageProvider extends BaseStorageProvider {
+  constructor({ directory = ".fileverse/storage" } = {}) {
+    super();
+    this.directory = directory;
+  }
+
+  async protocol() {
+    return "local://";
+  }
+
+  async stripProtocol(reference) {
+    const protocol = await this.protocol();
+    const strippedReference =
+      typeof reference === "string"
+        ? reference.replace(protocol, "")
+        : reference;
+    // Only accept CIDs, so references can't escape the storage directory
+    if (!/^[a-z2-7]+$/.test(strippedReference)) {
+      throw new Error(`Invalid local storage reference: ${reference}`);
+    }
+    return strippedReference;
+  }
+
+  // Identical content is stored once, so every upload of it is counted in a
+  // `<cid>.references` file next to it and unpin only deletes the last one.
+  // Files stored before they were counted count once.
+  getReferenceCount(cid) {
+    const countPath = path.join(this.directory, `${cid}.references`);
+    if (fs.existsSync(countPath)) {
+      return Number(fs.readFileSync(countPath, "utf8"));
+    }
+    return fs.existsSync(path.join(this.directory, cid)) ? 1 : 0;
+  }
+
+  async upload(fileName, content, options = {}) {
+    try {
+      const protocol = await this.protocol();
+      const data = await toBuffer(content);
+      const cid = computeRawCid(data);
+      fs.mkdirSync(this.directory, { recursive: true });
+      const references = this.getReferenceCount(cid) + 1;
+      fs.writeFileSync(path.join(this.directory, cid), data);
+      fs.writeFileSync(
+        path.join(this.directory, `${cid}.references`),
+        `${references}`
+      );
+      return `${protocol}${cid}`;
+    } catch (error) {
+      console.error("Error uploading to local storage:", error);
+      throw error;
+    }
+  }
+
+  async unpin(reference) {
+    try {
+      const protocol = await this.protocol();
+      const cid = await this.stripProtocol(reference);
+      const references = this.getReferenceCount(cid) - 1;
+      if (references > 0) {
+        fs.writeFileSync(
+          path.join(this.directory, `${cid}.references`),
+          `${references}`
+        );
+      } else {
+        fs.rmSync(path.join(this.directory, cid), { force: true });
+        fs.rmSync(path.join(this.directory, `${cid}.references`), {
+          force: true,
+        });
+      }
+      return `${protocol}${cid}`;
+    } catch (error) {
+      console.error("Error unpinning from local storage:", error);
+      throw error;
+    }
+  }
+
+  async download(reference) {
+    const cid = await this.stripProtocol(reference);
+    const filePath = path.join(this.directory, cid);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found in local storage: ${reference}`);
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  async verify(reference, content) {
+    return verifyCid(await this.stripProtocol(reference), content);
+  }
+
+  async isConnected() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.accessSync(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export { LocalStorageProvider };
@@ -1,5 +1,6 @@
 import { PinataSDK } from "pinata-web3";
 import { BaseStorageProvider } from "./base.js";
+import { verifyCid } from "./utils.js";
 
 class PinataStorageProvider extends BaseStorageProvider {
   constructor({ pinataJWT, pinataGateway }) {
@@ -17,10 +18,12 @@ class PinataStorageProvider extends BaseStorageProvider {
     return "ipfs://";
   }
 
-  async upload(fileName, content) {
+  async upload(fileName, content, options = {}) {
     try {
       const protocol = await this.protocol();
-      const file = new File([content], fileName, { type: "text/plain" });
+      const file = new File([content], fileName, {
+        type: options.contentType || "text/plain",
+      });
       const result = await this.pinata.upload.file(file);
       return `${protocol}${result.IpfsHash}`;
     } catch (error) {
@@ -44,14 +47,28 @@ class PinataStorageProvider extends BaseStorageProvider {
     }
   }
 
+  // Fetched from the configured gateway as raw bytes: gateways.get parses
+  // JSON and text responses, and the parsed value can't be turned back into
+  // the bytes the CID and metadata digest were computed over
   async download(reference) {
     const protocol = await this.protocol();
     const strippedReference =
       typeof reference === "string"
         ? reference.replace(protocol, "")
         : reference;
-    const result = await this.pinata.download.file(strippedReference);
-    return result;
+    const url = await this.pinata.gateways.convert(strippedReference);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `Gateway returned ${response.status} for ${strippedReference}: ${await response.text()}`
+      );
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async verify(reference, content) {
+    const protocol = await this.protocol();
+    return verifyCid(reference.replace(protocol, ""), content);
   }
 
   async isConnected() {
@@ -0,0 +1,151 @@
+import { BaseStorageProvider } from "./base.js";
+import { StorageError } from "./errors.js";
+import { toBuffer } from "./utils.js";
+
+// Uploads to several providers at once (e.g. Pinata and Swarm) and downloads
+// from whichever of them has the content. The reference of the first
+// provider that succeeds is returned; the others are kept as replicas in
+// memory until the caller records them (see forgetReplicas) and passes them
+// back to download and unpin.
+class ReplicatedStorageProvider extends BaseStorageProvider {
+  constructor({ providers, quorum } = {}) {
+    super();
+    if (!providers || !providers.length) {
+      throw new Error("At least one storage provider is required");
+    }
+    this.providers = providers;
+    // Uploads fail unless this many providers succeed, all by default
+    this.quorum = quorum || providers.length;
+    if (this.quorum > providers.length) {
+      throw new Error(
+        `Quorum of ${this.quorum} is more than the ${providers.length} providers`
+      );
+    }
+    this.replicas = new Map();
+  }
+
+  async protocol() {
+    return this.providers[0].protocol();
+  }
+
+  async providersFor(reference) {
+    const protocols = await Promise.all(
+      this.providers.map((provider) => provider.protocol())
+    );
+    return this.providers.filter((_, index) =>
+      reference.startsWith(protocols[index])
+    );
+  }
+
+  getReplicas(reference) {
+    return this.replicas.get(reference) || [reference];
+  }
+
+  forgetReplicas(reference) {
+    this.replicas.delete(reference);
+  }
+
+  async upload(fileName, content, options = {}) {
+    const data = await toBuffer(content);
+    const results = await Promise.allSettled(
+      this.providers.map((provider) =>
+        provider.upload(fileName, data, options)
+      )
+    );
+    const references = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+    if (references.length < this.quorum) {
+      await this.unpinAll(references);
+      throw new StorageError(
+        `Uploaded ${fileName} to ${references.length} of ${this.providers.length} providers, ${this.quorum} required`,
+        {
+          operation: "upload",
+          cause: new AggregateError(
+            results
+              .filter((result) => result.status === "rejected")
+              .map((result) => result.reason)
+          ),
+        }
+      );
+    }
+    const [reference] = references;
+    this.replicas.set(reference, [...new Set(references)]);
+    return reference;
+  }
+
+  // Tries the reference and its replicas on every provider that serves
+  // their protocol, skipping content that fails verification.
+  async download(reference, options = {}) {
+    const { replicas = [] } = options;
+    const candidates = [
+      ...new Set([reference, ...replicas, ...this.getReplicas(reference)]),
+    ];
+    const errors = [];
+    for (const candidate of candidates) {
+      for (const provider of await this.providersFor(candidate)) {
+        try {
+          const content = await toBuffer(await provider.download(candidate));
+          if ((await provider.verify(candidate, content)) === false) {
+            throw new Error(`Content of ${candidate} does not match`);
+          }
+          return content;
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    }
+    throw new StorageError(`${reference} is not available from any provider`, {
+      operation: "download",
+      reference,
+      cause: new AggregateError(errors),
+    });
+  }
+
+  async verify(reference, content) {
+    const [provider] = await this.providersFor(reference);
+    return provider ? provider.verify(reference, content) : null;
+  }
+
+  // Returns the errors of the unpins that failed
+  async unpinAll(references) {
+    const unpins = [];
+    for (const reference of references) {
+      for (const provider of await this.providersFor(reference)) {
+        unpins.push(provider.unpin(reference));
+      }
+    }
+    const results = await Promise.allSettled(unpins);
+    return results
+      .filter((result) => result.status === "rejected")
+      .map((result) => result.reason);
+  }
+
+  async unpin(reference, options = {}) {
+    const { replicas = [] } = options;
+    const references = [
+      ...new Set([reference, ...replicas, ...this.getReplicas(reference)]),
+    ];
+    const failed = await this.unpinAll(references);
+    this.replicas.delete(reference);
+    if (failed.length) {
+      throw new StorageError(`Unpinning ${reference} failed`, {
+        operation: "unpin",
+        reference,
+        cause: new AggregateError(failed),
+      });
+    }
+    return reference;
+  }
+
+  async isConnected() {
+    const connected = await Promise.all(
+      this.providers.map((provider) =>
+        provider.isConnected().catch(() => false)
+      )
+    );
+    return connected.filter(Boolean).length >= this.quorum;
+  }
+}
+
+export { ReplicatedStorageProvider };
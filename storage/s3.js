@@ -0,0 +1,280 @@
+import { createHash, createHmac } from "crypto";
+import { BaseStorageProvider } from "./base.js";
+import { toBuffer, computeRawCid, verifyCid } from "./utils.js";
+
+const EMPTY_PAYLOAD_HASH = createHash("sha256").update("").digest("hex");
+
+const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+
+// S3 keeps "/" in paths and encodes everything else RFC 3986 does
+const encodePath = (path) =>
+  path
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+
+// AWS Signature Version 4 for the "s3" service. Returns the headers to send,
+// including Authorization.
+const signS3Request = ({
+  method,
+  url,
+  headers = {},
+  payloadHash = EMPTY_PAYLOAD_HASH,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  date = new Date(),
+}) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+    ),
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+    ...(sessionToken && { "x-amz-security-token": sessionToken }),
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+  const canonicalQuery = [...url.searchParams]
+    .map(([key, value]) => [encodeURIComponent(key), encodeURIComponent(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+  const canonicalRequest = [
+    method,
+    encodePath(decodeURIComponent(url.pathname)),
+    canonicalQuery,
+    ...headerNames.map(
+      (name) => `${name}:${String(signedHeaders[name]).trim()}`
+    ),
+    "",
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    createHash("sha256").update(canonicalRequest).digest("hex"),
+  ].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, data) => hmac(key, data),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = createHmac("sha256", signingKey)
+    .update(stringToSign)
+    .digest("hex");
+
+  const { host, ...requestHeaders } = signedHeaders;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+  };
+};
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2,
+// Backblaze B2, ...). Like LocalStorageProvider, objects are keyed by their
+// CIDv1 so references are content-addressed and start with `s3://`.
+class S3StorageProvider extends BaseStorageProvider {
+  constructor({
+    endpoint = "https://s3.amazonaws.com",
+    bucket,
+    region = "us-east-1",
+    accessKeyId,
+    secretAccessKey,
+    sessionToken,
+    prefix = "",
+    forcePathStyle = true,
+  } = {}) {
+    super();
+    if (!bucket) {
+      throw new Error("S3 bucket is required");
+    }
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error("S3 access key ID and secret access key are required");
+    }
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.bucket = bucket;
+    this.region = region;
+    this.credentials = { accessKeyId, secretAccessKey, sessionToken };
+    this.prefix = prefix;
+    // Path-style URLs (endpoint/bucket/key) work with most S3-compatible
+    // services; AWS also accepts virtual-hosted ones (bucket.endpoint/key)
+    this.forcePathStyle = forcePathStyle;
+    // Reference count updates by CID, run one after the other
+    this.updates = new Map();
+  }
+
+  async protocol() {
+    return "s3://";
+  }
+
+  async stripProtocol(reference) {
+    const protocol = await this.protocol();
+    const strippedReference =
+      typeof reference === "string"
+        ? reference.replace(protocol, "")
+        : reference;
+    if (!/^[a-z2-7]+$/.test(strippedReference)) {
+      throw new Error(`Invalid S3 storage reference: ${reference}`);
+    }
+    return strippedReference;
+  }
+
+  objectUrl(key = "") {
+    const url = new URL(this.endpoint);
+    const path = key ? `/${this.prefix}${key}` : "/";
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, "")}/${this.bucket}${path}`;
+    } else {
+      url.host = `${this.bucket}.${url.host}`;
+      url.pathname = `${url.pathname.replace(/\/$/, "")}${path}`;
+    }
+    return url;
+  }
+
+  async request(method, url, { body, headers = {} } = {}) {
+    const payloadHash = body
+      ? createHash("sha256").update(body).digest("hex")
+      : EMPTY_PAYLOAD_HASH;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: signS3Request({
+        method,
+        url,
+        headers,
+        payloadHash,
+        region: this.region,
+        ...this.credentials,
+      }),
+    });
+    if (!response.ok) {
+      const error = new Error(
+        `S3 ${method} ${url.pathname} failed (${response.status}): ${await response.text()}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  // Identical content is stored once, so every upload of it is counted in
+  // the object's x-amz-meta-references and unpin only deletes the last one.
+  // Objects stored before they were counted count once; null when there is
+  // no object.
+  async headObject(cid) {
+    try {
+      const response = await this.request("HEAD", this.objectUrl(cid));
+      return {
+        references: Number(
+          response.headers.get("x-amz-meta-references") ?? 1
+        ),
+        contentType: response.headers.get("content-type"),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Runs reference count updates of a CID in order, so that concurrent
+  // uploads of the same content are all counted
+  async updateReferences(cid, update) {
+    const previous = this.updates.get(cid) || Promise.resolve();
+    const next = previous.catch(() => {}).then(update);
+    this.updates.set(cid, next);
+    try {
+      return await next;
+    } finally {
+      if (this.updates.get(cid) === next) {
+        this.updates.delete(cid);
+      }
+    }
+  }
+
+  async upload(fileName, content, options = {}) {
+    try {
+      const protocol = await this.protocol();
+      const data = await toBuffer(content);
+      const cid = computeRawCid(data);
+      await this.updateReferences(cid, async () => {
+        const object = await this.headObject(cid);
+        await this.request("PUT", this.objectUrl(cid), {
+          body: data,
+          headers: {
+            "content-type": options.contentType || "text/plain",
+            "x-amz-meta-references": `${(object?.references ?? 0) + 1}`,
+          },
+        });
+      });
+      return `${protocol}${cid}`;
+    } catch (error) {
+      console.error("Error uploading to S3:", error);
+      throw error;
+    }
+  }
+
+  async unpin(reference) {
+    try {
+      const protocol = await this.protocol();
+      const cid = await this.stripProtocol(reference);
+      await this.updateReferences(cid, async () => {
+        const object = await this.headObject(cid);
+        if (!object || object.references <= 1) {
+          await this.request("DELETE", this.objectUrl(cid));
+          return;
+        }
+        // Copied onto itself to replace the metadata without re-uploading
+        await this.request("PUT", this.objectUrl(cid), {
+          headers: {
+            "content-type": object.contentType || "text/plain",
+            "x-amz-copy-source": encodePath(
+              `/${this.bucket}/${this.prefix}${cid}`
+            ),
+            "x-amz-metadata-directive": "REPLACE",
+            "x-amz-meta-references": `${object.references - 1}`,
+          },
+        });
+      });
+      return `${protocol}${cid}`;
+    } catch (error) {
+      console.error("Error deleting from S3:", error);
+      throw error;
+    }
+  }
+
+  async download(reference) {
+    const cid = await this.stripProtocol(reference);
+    const response = await this.request("GET", this.objectUrl(cid));
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async verify(reference, content) {
+    return verifyCid(await this.stripProtocol(reference), content);
+  }
+
+  async isConnected() {
+    try {
+      await this.request("HEAD", this.objectUrl());
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export { S3StorageProvider, signS3Request };
@@ -1,43 +1,170 @@
-import { Bee } from "@ethersphere/bee-js";
+import {
+  Bee,
+  Duration,
+  MantarayNode,
+  MerkleTree,
+  PrivateKey,
+  Reference,
+  Size,
+  Topic,
+} from "@ethersphere/bee-js";
 import { BaseStorageProvider } from "./base.js";
+import { toBuffer } from "./utils.js";
+
+const DAY = 24 * 60 * 60;
+
+const DEFAULT_BATCH_POLICY = {
+  // Buy a batch when there is none or it expired
+  buy: false,
+  // Extend the batch when its TTL drops below minTTL or it runs out of space
+  topUp: false,
+  minTTL: DAY,
+  // Bought and added on top-up: bytes and seconds
+  size: 1000 ** 3,
+  duration: 30 * DAY,
+  // How long a batch check is trusted, in milliseconds
+  checkInterval: 60 * 1000,
+};
 
 class SwarmStorageProvider extends BaseStorageProvider {
-  constructor({ beeUrl, postageBatchId }) {
+  constructor({ beeUrl, postageBatchId, signer, batchPolicy = {} }) {
     super();
     if (!beeUrl) {
       throw new Error("Bee node URL is required");
     }
-    if (!postageBatchId) {
+    this.batchPolicy = { ...DEFAULT_BATCH_POLICY, ...batchPolicy };
+    if (!postageBatchId && !this.batchPolicy.buy) {
       throw new Error(
         "Postage batch ID is required for uploading data to Swarm"
       );
     }
-    this.bee = new Bee(beeUrl);
+    // The signer (a private key) owns the feeds written by this provider
+    this.bee = new Bee(beeUrl, signer ? { signer } : undefined);
+    this.signer = signer;
     this.postageBatchId = postageBatchId;
+    this.batchStatus = null;
+    this.batchCheckedAt = 0;
+  }
+
+  async getBatchStatus(postageBatchId = this.postageBatchId) {
+    const batch = await this.bee.getPostageBatch(postageBatchId);
+    return {
+      postageBatchId: batch.batchID.toHex(),
+      usable: batch.usable,
+      // seconds until the batch expires
+      ttl: batch.duration.toSeconds(),
+      usage: batch.usage,
+      size: batch.size.toBytes(),
+      remainingSize: batch.remainingSize.toBytes(),
+    };
+  }
+
+  // Resolves once the batch is usable, so uploads can follow right away
+  async buyBatch(options = {}) {
+    const {
+      size = this.batchPolicy.size,
+      duration = this.batchPolicy.duration,
+      label,
+    } = options;
+    const postageBatchId = await this.bee.buyStorage(
+      Size.fromBytes(size),
+      Duration.fromSeconds(duration),
+      { label }
+    );
+    this.postageBatchId = postageBatchId.toHex();
+    this.batchCheckedAt = 0;
+    return this.postageBatchId;
+  }
+
+  // Extends the batch by a duration (seconds) and/or size (bytes)
+  async topUpBatch({ duration, size } = {}) {
+    if (duration) {
+      await this.bee.extendStorageDuration(
+        this.postageBatchId,
+        Duration.fromSeconds(duration)
+      );
+    }
+    if (size) {
+      const { size: currentSize } = await this.getBatchStatus();
+      await this.bee.extendStorageSize(
+        this.postageBatchId,
+        Size.fromBytes(currentSize + size)
+      );
+    }
+    this.batchCheckedAt = 0;
+    return this.postageBatchId;
+  }
+
+  // Checks the batch before writing, buying or topping it up as far as
+  // batchPolicy allows. Throws when there is no usable batch.
+  async ensureBatch(contentSize = 0) {
+    const { buy, topUp, minTTL, checkInterval } = this.batchPolicy;
+    if (
+      this.batchStatus &&
+      Date.now() - this.batchCheckedAt < checkInterval &&
+      contentSize <= this.batchStatus.remainingSize
+    ) {
+      return this.postageBatchId;
+    }
+
+    let status = this.postageBatchId
+      ? await this.getBatchStatus().catch(() => null)
+      : null;
+    if (!status) {
+      if (!buy) {
+        throw new Error(
+          `Postage batch ${this.postageBatchId} not found or expired`
+        );
+      }
+      await this.buyBatch();
+      status = await this.getBatchStatus();
+    }
+    if (!status.usable) {
+      throw new Error(`Postage batch ${this.postageBatchId} is not usable yet`);
+    }
+
+    const expiring = status.ttl < minTTL;
+    const full = contentSize > status.remainingSize;
+    if ((expiring || full) && !topUp) {
+      console.warn(
+        `Postage batch ${this.postageBatchId} ${
+          expiring ? `expires in ${status.ttl}s` : "is almost full"
+        }`
+      );
+    }
+    if ((expiring || full) && topUp) {
+      await this.topUpBatch({
+        duration: expiring ? this.batchPolicy.duration : undefined,
+        size: full ? this.batchPolicy.size : undefined,
+      });
+      status = await this.getBatchStatus();
+    }
+
+    this.batchStatus = status;
+    this.batchCheckedAt = Date.now();
+    return this.postageBatchId;
   }
 
   async protocol() {
     return "bzz://";
   }
 
-  async upload(fileName, content) {
+  // Files are uploaded behind a manifest carrying their name and content
+  // type; verify checks the content against the data reference inside it.
+  async upload(fileName, content, options = {}) {
     try {
       const protocol = await this.protocol();
-      // Create a File object from the content
-      const file = new File([content], fileName, { type: "text/plain" });
+      const data = await toBuffer(content);
+      const postageBatchId = await this.ensureBatch(data.length);
 
       // Upload the file to Swarm
-      const result = await this.bee.uploadFile(
-        this.postageBatchId,
-        file,
-        fileName,
-        {
-          pin: true, // Pin the content to make it persistent
-        }
-      );
+      const result = await this.bee.uploadFile(postageBatchId, data, fileName, {
+        contentType: options.contentType || "text/plain",
+        pin: true, // Pin the content to make it persistent
+      });
 
       // Return the Swarm reference as a URI
-      return `${protocol}${result.reference}`;
+      return `${protocol}${result.reference.toHex()}`;
     } catch (error) {
       console.error("Error uploading to Swarm:", error);
       throw error;
@@ -51,8 +178,9 @@ class SwarmStorageProvider extends BaseStorageProvider {
         typeof reference === "string"
           ? reference.replace(protocol, "")
           : reference;
-      const result = await this.bee.unpin(strippedReference);
-      return `${protocol}${result.reference}`;
+      // bee.unpin resolves without a body
+      await this.bee.unpin(strippedReference);
+      return `${protocol}${strippedReference}`;
     } catch (error) {
       console.error("Error unpinning from Swarm:", error);
       throw error;
@@ -66,14 +194,125 @@ class SwarmStorageProvider extends BaseStorageProvider {
       typeof reference === "string"
         ? reference.replace(protocol, "")
         : reference;
-      const result = await this.bee.downloadFile(strippedReference);
-      return result;
+      const { manifest, data } = await this.readReference(strippedReference);
+      const result = manifest
+        ? (await this.bee.downloadFile(strippedReference)).data
+        : data;
+      return Buffer.from(result.toUint8Array());
     } catch (error) {
       console.error("Error downloading from Swarm:", error);
       throw error;
     }
   }
 
+  // Loads the manifest a reference points to, or returns the raw data when
+  // it doesn't point to one
+  async readReference(reference) {
+    const data = await this.bee.downloadData(reference);
+    let manifest;
+    try {
+      manifest = MantarayNode.unmarshalFromData(
+        data.toUint8Array(),
+        new Reference(reference).toUint8Array()
+      );
+    } catch {
+      return { manifest: null, data };
+    }
+    await manifest.loadRecursively(this.bee);
+    return { manifest, data };
+  }
+
+  // The raw data reference of the file behind a reference
+  async getDataReference(reference) {
+    const strippedReference = await this.stripProtocol(reference);
+    const { manifest } = await this.readReference(strippedReference);
+    if (!manifest) {
+      return strippedReference.toLowerCase();
+    }
+    const { indexDocument } = manifest.getDocsMetadata();
+    const file = indexDocument && manifest.find(indexDocument);
+    if (!file) {
+      throw new Error(`No file found in Swarm manifest ${strippedReference}`);
+    }
+    return new Reference(file.targetAddress).toHex();
+  }
+
+  async stripProtocol(reference) {
+    const protocol = await this.protocol();
+    return typeof reference === "string"
+      ? reference.replace(protocol, "")
+      : reference;
+  }
+
+  getFeedOwner() {
+    if (!this.signer) {
+      throw new Error("A signer is required to write feeds");
+    }
+    return new PrivateKey(this.signer).publicKey().address().toHex();
+  }
+
+  // A feed manifest is a stable `bzz://` reference that always resolves to
+  // the latest update of the signer's feed for a topic, so consumers can
+  // follow new outputs without an on-chain editFile per update.
+  async createFeed(topic) {
+    const protocol = await this.protocol();
+    const postageBatchId = await this.ensureBatch();
+    const owner = this.getFeedOwner();
+    const manifest = await this.bee.createFeedManifest(
+      postageBatchId,
+      Topic.fromString(topic),
+      owner
+    );
+    return { topic, owner, manifest: `${protocol}${manifest.toHex()}` };
+  }
+
+  // Points the feed at an uploaded reference
+  async updateFeed(topic, reference) {
+    const protocol = await this.protocol();
+    const postageBatchId = await this.ensureBatch();
+    const writer = this.bee.makeFeedWriter(
+      Topic.fromString(topic),
+      this.signer
+    );
+    await writer.uploadReference(
+      postageBatchId,
+      await this.stripProtocol(reference)
+    );
+    return {
+      topic,
+      owner: this.getFeedOwner(),
+      reference: `${protocol}${await this.stripProtocol(reference)}`,
+    };
+  }
+
+  async publish(topic, fileName, content, options = {}) {
+    const reference = await this.upload(fileName, content, options);
+    return this.updateFeed(topic, reference);
+  }
+
+  // Latest update of a feed, by default one written by this provider
+  async readFeed(topic, owner = this.getFeedOwner()) {
+    const protocol = await this.protocol();
+    const reader = this.bee.makeFeedReader(Topic.fromString(topic), owner);
+    const { reference, feedIndex } = await reader.downloadReference();
+    return {
+      topic,
+      owner,
+      reference: `${protocol}${reference.toHex()}`,
+      index: feedIndex.toBigInt(),
+    };
+  }
+
+  // Recomputes the root chunk address of the content, the way Bee splits
+  // and hashes raw data, and compares it with the file's data reference
+  async verify(reference, content) {
+    const rootChunk = await MerkleTree.root(await toBuffer(content));
+    return (
+      Buffer.from(rootChunk.hash()).toString("hex") ===
+      (await this.getDataReference(reference))
+    );
+  }
+
   async isConnected() {
     try {
       await this.bee.checkConnection();
@@ -0,0 +1,235 @@
+import { createHash } from "crypto";
+
+// Providers return downloads in their SDK's own shape (Pinata: { data },
+// bee-js: { data: Bytes }); normalise them to a Buffer.
+const toBuffer = async (result) => {
+  if (result === null || result === undefined) {
+    return Buffer.alloc(0);
+  }
+  if (typeof result === "string") {
+    return Buffer.from(result);
+  }
+  if (result instanceof Uint8Array) {
+    return Buffer.from(result);
+  }
+  if (result instanceof ArrayBuffer) {
+    return Buffer.from(new Uint8Array(result));
+  }
+  if (typeof Blob !== "undefined" && result instanceof Blob) {
+    return Buffer.from(await result.arrayBuffer());
+  }
+  if (typeof result.toUint8Array === "function") {
+    return Buffer.from(result.toUint8Array());
+  }
+  // Node.js and web streams
+  if (typeof result[Symbol.asyncIterator] === "function") {
+    const chunks = [];
+    for await (const chunk of result) {
+      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+  if ("data" in result) {
+    return toBuffer(result.data);
+  }
+  // Parsed values (e.g. JSON a gateway decoded) can't be turned back into
+  // the bytes references and digests were computed over
+  throw new TypeError(`Expected raw bytes, got ${typeof result}`);
+};
+
+const CONTENT_TYPES = {
+  md: "text/markdown",
+  markdown: "text/markdown",
+  txt: "text/plain",
+  csv: "text/csv",
+  html: "text/html",
+  json: "application/json",
+  xml: "application/xml",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4",
+};
+
+const getContentType = (fileName) => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return CONTENT_TYPES[extension] || "application/octet-stream";
+};
+
+const isTextContentType = (contentType) =>
+  contentType.startsWith("text/") ||
+  /^application\/(json|xml|javascript)|\+(json|xml)$/.test(contentType);
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const toBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const fromBase32 = (text) => {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const character of text) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) return null;
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+};
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+const fromBase58 = (text) => {
+  let value = 0n;
+  for (const character of text) {
+    const index = BASE58_ALPHABET.indexOf(character);
+    if (index === -1) return null;
+    value = value * 58n + BigInt(index);
+  }
+  const hex = value ? value.toString(16) : "";
+  const zeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([
+    Buffer.alloc(zeros),
+    Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex"),
+  ]);
+};
+
+const encodeVarint = (number) => {
+  const bytes = [];
+  while (number >= 0x80) {
+    bytes.push((number & 0x7f) | 0x80);
+    number >>>= 7;
+  }
+  bytes.push(number);
+  return Buffer.from(bytes);
+};
+
+const decodeVarints = (bytes, count) => {
+  const values = [];
+  let offset = 0;
+  while (values.length < count && offset < bytes.length) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = bytes[offset++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80 && offset < bytes.length);
+    values.push(value);
+  }
+  return { values, rest: bytes.subarray(offset) };
+};
+
+const sha256 = (content) => createHash("sha256").update(content).digest();
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+// Default chunk size of `ipfs add`: larger files are split into a DAG
+const UNIXFS_CHUNK_SIZE = 262144;
+
+// CIDv1 of a single raw block: version 1, raw codec (0x55) and a sha2-256
+// multihash, multibase base32 ("b" prefix). Matches `ipfs add --cid-version 1
+// --raw-leaves` for content that fits in one chunk.
+const computeRawCid = (content) => {
+  const cid = Buffer.concat([
+    Buffer.from([0x01, CODEC_RAW, HASH_SHA2_256, 0x20]),
+    sha256(content),
+  ]);
+  return `b${toBase32(cid)}`;
+};
+
+// Splits a CIDv0 ("Qm...") or a base32/base58 CIDv1 into its codec and
+// multihash. Returns null for anything else.
+const parseCid = (cid) => {
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    const multihash = fromBase58(cid);
+    return {
+      version: 0,
+      codec: CODEC_DAG_PB,
+      hashFunction: multihash[0],
+      digest: multihash.subarray(2),
+    };
+  }
+  let bytes = null;
+  if (cid.startsWith("b")) bytes = fromBase32(cid.slice(1));
+  if (cid.startsWith("z")) bytes = fromBase58(cid.slice(1));
+  if (!bytes) return null;
+  const {
+    values: [version, codec, hashFunction, length],
+    rest,
+  } = decodeVarints(bytes, 4);
+  if (version !== 1 || rest.length !== length) return null;
+  return { version, codec, hashFunction, digest: rest };
+};
+
+// dag-pb node holding a UnixFS file with its data inline, as `ipfs add`
+// writes files that fit in one chunk without raw leaves.
+const encodeUnixFsFile = (content) => {
+  const data = Buffer.concat([
+    Buffer.from([0x08, 0x02]),
+    ...(content.length
+      ? [Buffer.from([0x12]), encodeVarint(content.length), content]
+      : []),
+    Buffer.from([0x18]),
+    encodeVarint(content.length),
+  ]);
+  return Buffer.concat([Buffer.from([0x0a]), encodeVarint(data.length), data]);
+};
+
+// Checks content against the CID it was retrieved by. Returns null when the
+// CID can't be recomputed from the bytes alone (other hash functions, or
+// content chunked into a DAG).
+const verifyCid = (cid, content) => {
+  const parsed = parseCid(cid);
+  if (!parsed || parsed.hashFunction !== HASH_SHA2_256) return null;
+  let block;
+  if (parsed.codec === CODEC_RAW) {
+    block = content;
+  } else if (
+    parsed.codec === CODEC_DAG_PB &&
+    content.length <= UNIXFS_CHUNK_SIZE
+  ) {
+    block = encodeUnixFsFile(content);
+  } else {
+    return null;
+  }
+  return sha256(block).equals(parsed.digest);
+};
+
+export {
+  toBuffer,
+  getContentType,
+  isTextContentType,
+  computeRawCid,
+  verifyCid,
+  sha256,
+};
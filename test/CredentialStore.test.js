@@ -0,0 +1,86 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  FileSystemCredentialStore,
+  EncryptedFileCredentialStore,
+  MemoryCredentialStore,
+  EnvironmentCredentialStore,
+} from '../credentials/index.js';
+
+const credentials = {
+  portalAddress: '0x0000000000000000000000000000000000000001',
+  namespace: 'test-sepolia',
+  portalKeys: { editSecret: 'edit-secret', viewSecret: 'view-secret' },
+};
+
+describe('CredentialStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-creds-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should save and load credentials from the filesystem', async () => {
+    const store = new FileSystemCredentialStore({ directory });
+    expect(await store.load('test-sepolia')).to.be.null;
+    await store.save('test-sepolia', credentials);
+    expect(await store.load('test-sepolia')).to.deep.equal(credentials);
+    await store.remove('test-sepolia');
+    expect(await store.load('test-sepolia')).to.be.null;
+  });
+
+  it('should encrypt credentials at rest with a passphrase', async () => {
+    const store = new EncryptedFileCredentialStore({ directory, passphrase: 'correct horse' });
+    await store.save('test-sepolia', credentials);
+    const raw = fs.readFileSync(path.join(directory, 'test-sepolia.json'), 'utf8');
+    expect(raw).to.not.include('edit-secret');
+    expect(await store.load('test-sepolia')).to.deep.equal(credentials);
+
+    const wrongPassphrase = new EncryptedFileCredentialStore({ directory, passphrase: 'wrong' });
+    let error;
+    try {
+      await wrongPassphrase.load('test-sepolia');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+  });
+
+  it('should keep credentials in memory', async () => {
+    const store = new MemoryCredentialStore();
+    await store.save('test-sepolia', credentials);
+    expect(await store.load('test-sepolia')).to.equal(credentials);
+  });
+
+  it('should read credentials from an environment variable', async () => {
+    process.env.TEST_FILEVERSE_CREDENTIALS = JSON.stringify(credentials);
+    const store = new EnvironmentCredentialStore({ variable: 'TEST_FILEVERSE_CREDENTIALS' });
+    delete process.env.TEST_FILEVERSE_CREDENTIALS;
+    expect(await store.load('test-sepolia')).to.deep.equal(credentials);
+    expect(await store.load('other-sepolia')).to.be.null;
+  });
+
+  it('should warn once that saved environment credentials are not persisted', async () => {
+    const store = new EnvironmentCredentialStore({ variable: 'TEST_FILEVERSE_CREDENTIALS' });
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+      await store.save('test-sepolia', credentials);
+      await store.save('test-sepolia', { ...credentials, replicas: {} });
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0]).to.include('test-sepolia').and.include('TEST_FILEVERSE_CREDENTIALS');
+    expect(await store.load('test-sepolia')).to.have.property('replicas');
+  });
+});
@@ -1,9 +1,33 @@
 import 'dotenv/config';
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ContractFunctionExecutionError,
+  ContractFunctionRevertedError,
+  encodeAbiParameters,
+  encodeEventTopics,
+} from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { sepolia } from 'viem/chains';
-import { Agent as FileverseAgent, PinataStorageProvider } from '../index.js';
+import {
+  Agent as FileverseAgent,
+  PinataStorageProvider,
+  LocalStorageProvider,
+  ReplicatedStorageProvider,
+  BaseTransactionBackend,
+  EOATransactionBackend,
+  TransactionError,
+  StorageError,
+} from '../index.js';
+import { MemoryCredentialStore } from '../credentials/index.js';
+import * as ucans from '@ucans/ucans';
+import { issueDelegation } from '../agent/delegation.js';
+import { PortalABI, PortalRegistryABI } from '../abi/index.js';
+import { createPortalMetadata } from '../agent/metadata.js';
+import { generatePortalKeys, getPortalKeyVerifiers } from '../agent/keys.js';
 
 describe('FileverseAgent', () => {
   let agent; 
@@ -34,12 +58,48 @@ describe('FileverseAgent', () => {
     expect(agent.storageProvider).to.exist;
   });
 
+  it('should reject unknown chains and chains without a registry', () => {
+    const options = {
+      viemAccount: agent.viemAccount,
+      pimlicoAPIKey: 'pimlico-api-key',
+      storageProvider: agent.storageProvider,
+    };
+    expect(() => new FileverseAgent({ ...options, chain: 'not-a-chain' })).to.throw('Unknown chain');
+    expect(() => new FileverseAgent({ ...options, chain: 'anvil' })).to.throw('PortalRegistry');
+    const localAgent = new FileverseAgent({
+      ...options,
+      chain: 'anvil',
+      rpcUrl: 'http://127.0.0.1:8545',
+      portalRegistry: '0x0000000000000000000000000000000000000001',
+    });
+    expect(localAgent.chain.id).to.equal(31337);
+  });
+
   it('should have required methods', () => {
     expect(agent.setupStorage).to.be.a('function');
     expect(agent.create).to.be.a('function');
     expect(agent.update).to.be.a('function');
     expect(agent.delete).to.be.a('function');
     expect(agent.getFile).to.be.a('function');
+    expect(agent.read).to.be.a('function');
+    expect(agent.listFiles).to.be.a('function');
+    expect(agent.addCollaborator).to.be.a('function');
+    expect(agent.removeCollaborator).to.be.a('function');
+    expect(agent.getCollaborators).to.be.a('function');
+    expect(agent.joinPortal).to.be.a('function');
+    expect(agent.createBatch).to.be.a('function');
+    expect(agent.updateBatch).to.be.a('function');
+    expect(agent.deleteBatch).to.be.a('function');
+    expect(agent.rotateKeys).to.be.a('function');
+    expect(agent.transferOwnership).to.be.a('function');
+    expect(agent.acceptOwnership).to.be.a('function');
+    expect(agent.delegate).to.be.a('function');
+    expect(agent.verifyDelegation).to.be.a('function');
+    expect(agent.revokeDelegation).to.be.a('function');
+    expect(agent.watchPortalEvents).to.be.a('function');
+    expect(agent.syncIndex).to.be.a('function');
+    expect(agent.searchFiles).to.be.a('function');
+    expect(agent.updatePortalMetadata).to.be.a('function');
   });
   it('should perform full file lifecycle (create, update, delete)', async function () {
     this.timeout(300000);
@@ -53,32 +113,770 @@ describe('FileverseAgent', () => {
     console.log('Creating file...');
     const createResult = await agent.create('Test content @001');
     console.log('Create File Transaction:', createResult);
-    let receipt = await agent.smartAccountClient.waitForUserOperationReceipt({
-      hash: createResult.hash,
-    });
+    let receipt = await agent.waitForTransaction(createResult.hash);
     console.log('Create receipt:', receipt);
+    const createdAtBlock = receipt.receipt.blockNumber;
     fileId = createResult.fileId;
     expect(createResult).to.have.property('hash');
     expect(createResult).to.have.property('fileId');
 
+    // Read file back
+    let file = await agent.read(fileId);
+    expect(file.deleted).to.be.false;
+    expect(file.content).to.equal('Test content @001');
+    expect(file.metadata).to.have.property('name');
+
+    // List files
+    const fileCount = await agent.getFileCount();
+    const { files } = await agent.listFiles({
+      page: Math.floor((fileCount - 1) / 10),
+      pageSize: 10,
+    });
+    expect(files.map((entry) => entry.fileId)).to.include(fileId);
+
     // Update same file
     console.log('Updating file...', fileId);
     const updateResult = await agent.update(fileId, 'Updated content @002');
     console.log('Update File Transaction:', updateResult);
-    receipt = await agent.smartAccountClient.waitForUserOperationReceipt({
-      hash: updateResult.hash,
-    });
+    receipt = await agent.waitForTransaction(updateResult.hash);
     console.log('Update receipt:', receipt);
     expect(updateResult.fileId).to.equal(fileId);
 
+    // Version timeline from AddedFile / EditedFile logs
+    const history = await agent.getFileHistory(fileId, {
+      fromBlock: createdAtBlock,
+    });
+    expect(history.map((version) => version.event)).to.deep.equal(['AddedFile', 'EditedFile']);
+
     // Delete the file
     console.log('Deleting file...', fileId);
     const deleteResult = await agent.delete(fileId);
     console.log('Delete File Transaction:', deleteResult);
-    receipt = await agent.smartAccountClient.waitForUserOperationReceipt({
-      hash: deleteResult.hash,
-    });
+    receipt = await agent.waitForTransaction(deleteResult.hash);
     console.log('Delete receipt:', receipt);
     expect(deleteResult.fileId).to.equal(fileId);
+
+    file = await agent.read(fileId);
+    expect(file.deleted).to.be.true;
+    expect(file.content).to.be.null;
+
+    const { files: remaining } = await agent.listFiles({
+      page: Math.floor((fileCount - 1) / 10),
+      pageSize: 10,
+    });
+    expect(remaining.map((entry) => entry.fileId)).to.not.include(fileId);
+  });
+
+  it('should create and read back a private file', async function () {
+    this.timeout(300000);
+
+    await agent.setupStorage('test');
+
+    console.log('Creating private file...');
+    const createResult = await agent.create('Private content @001', { isPrivate: true });
+    console.log('Create Private File Transaction:', createResult);
+    expect(createResult).to.have.property('fileId');
+
+    const file = await agent.getFile(createResult.fileId);
+    expect(file.fileType).to.equal(1);
+    expect(file.gateIpfsHash).to.not.equal('');
+    expect(file.content).to.equal('Private content @001');
+
+    const deleteResult = await agent.delete(createResult.fileId);
+    await agent.waitForTransaction(deleteResult.hash);
+  });
+});
+
+// A raw AddedFile log, as found in a receipt
+const addedFileLog = (portalAddress, fileId, [metadataIPFSHash, contentIPFSHash, gateIPFSHash]) => ({
+  address: portalAddress,
+  topics: encodeEventTopics({
+    abi: PortalABI,
+    eventName: 'AddedFile',
+    args: { fileId: BigInt(fileId), by: portalAddress },
+  }),
+  data: encodeAbiParameters(
+    [{ type: 'string' }, { type: 'string' }, { type: 'string' }],
+    [metadataIPFSHash, contentIPFSHash, gateIPFSHash]
+  ),
+});
+
+// A second backend with its own reference scheme, like Swarm next to IPFS
+class MirrorStorageProvider extends LocalStorageProvider {
+  async protocol() {
+    return 'mirror://';
+  }
+}
+
+// Resolves with the error a promise rejects with
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+// Records the calls it is sent; logs queued with emit are returned in the
+// receipt of the next batch
+class FakeTransactionBackend extends BaseTransactionBackend {
+  constructor() {
+    super();
+    this.sent = [];
+    this.logs = [];
+    this.receipts = new Map();
+  }
+
+  async setup(agent) {
+    return { address: agent.owner };
+  }
+
+  async sendCalls(calls) {
+    this.sent.push(calls);
+    const hash = `0x${this.sent.length}`;
+    this.receipts.set(hash, { logs: this.logs.splice(0), success: true });
+    return hash;
+  }
+
+  async waitForReceipt(hash) {
+    return this.receipts.get(hash);
+  }
+
+  emit(...logs) {
+    this.logs.push(...logs);
+  }
+
+  // Emits an AddedFile log for each addFile call, the way the portal
+  // assigns file ids: in call order, from firstFileId on
+  assignFileIds(portalAddress, firstFileId = 10) {
+    let nextFileId = firstFileId;
+    const sendCalls = this.sendCalls.bind(this);
+    this.sendCalls = async (calls) => {
+      this.emit(
+        ...calls
+          .filter((call) => call.functionName === 'addFile')
+          .map((call) => addedFileLog(portalAddress, nextFileId++, call.args))
+      );
+      return sendCalls(calls);
+    };
+  }
+}
+
+// Unit tests against a stand-in chain: the public client, transaction backend
+// and storage are local, so these run without keys or network access
+describe('FileverseAgent with a stubbed chain', () => {
+  const portalAddress = '0x0000000000000000000000000000000000000001';
+  const deployedAt = 437n;
+  let agent;
+  let backend;
+  let contract;
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-agent-'));
+    backend = new FakeTransactionBackend();
+    // Portal and registry views, keyed by function name and called with the
+    // call's args followed by the contract address
+    contract = {};
+    agent = new FileverseAgent({
+      chain: sepolia,
+      viemAccount: privateKeyToAccount(`0x${'11'.repeat(32)}`),
+      storageProvider: new LocalStorageProvider({ directory }),
+      credentialStore: new MemoryCredentialStore(),
+      transactionBackend: backend,
+      retry: { retries: 0 },
+    });
+    agent.publicClient = {
+      getBlockNumber: async () => 1000n,
+      getCode: async ({ blockNumber }) => (blockNumber >= deployedAt ? '0x6080' : undefined),
+      readContract: async ({ address, functionName, args = [] }) => {
+        if (!contract[functionName]) {
+          throw new Error(`Unexpected call to ${functionName}`);
+        }
+        return contract[functionName](...args, address);
+      },
+    };
+    await agent.setupSafe();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should find the block a portal was deployed in', async () => {
+    expect(await agent.findDeploymentBlock(portalAddress)).to.equal(Number(deployedAt));
+
+    agent.publicClient.getCode = async () => undefined;
+    expect(await agent.findDeploymentBlock(portalAddress)).to.be.undefined;
+  });
+
+  it('should store the deployment block of a portal loaded without one', async () => {
+    await agent.credentialStore.save('test-sepolia', {
+      portalAddress,
+      owner: agent.owner,
+      namespace: 'test-sepolia',
+    });
+
+    await agent.setupStorage('test');
+    expect(agent.portal.deploymentBlock).to.equal(Number(deployedAt));
+    const saved = await agent.credentialStore.load('test-sepolia');
+    expect(saved.deploymentBlock).to.equal(Number(deployedAt));
+  });
+
+  it('should record an unknown deployment block once when the search fails', async () => {
+    await agent.credentialStore.save('test-sepolia', {
+      portalAddress,
+      owner: agent.owner,
+      namespace: 'test-sepolia',
+    });
+    let lookups = 0;
+    agent.publicClient.getCode = async () => {
+      lookups += 1;
+      throw new Error('missing trie node');
+    };
+
+    await agent.setupStorage('test');
+    expect(agent.portal).to.include({ deploymentBlock: 0, deploymentBlockUnknown: true });
+    const saved = await agent.credentialStore.load('test-sepolia');
+    expect(saved).to.include({ deploymentBlock: 0, deploymentBlockUnknown: true });
+
+    await agent.setupStorage('test');
+    expect(lookups).to.equal(1);
+  });
+
+  it('should wait for the restoreVersion transaction', async () => {
+    agent.portal = { portalAddress, deploymentBlock: 0 };
+    agent.getFileHistory = async () => [
+      { metadataIpfsHash: 'metadata', contentIpfsHash: 'content', gateIpfsHash: '' },
+    ];
+    let waitedFor;
+    backend.waitForReceipt = async (hash) => {
+      waitedFor = hash;
+      return { logs: [], success: true };
+    };
+
+    const result = await agent.restoreVersion(0, 0);
+    expect(backend.sent).to.have.lengthOf(1);
+    expect(waitedFor).to.equal(result.hash);
+    expect(result.receipt).to.deep.equal({ logs: [], success: true });
+  });
+
+  it('should unpin uploads that succeed after timing out', async () => {
+    agent.retry = { ...agent.retry, timeout: 10 };
+    const upload = agent.storageProvider.upload.bind(agent.storageProvider);
+    const late = new Promise((resolve) => {
+      agent.storageProvider.upload = async (...args) => {
+        await new Promise((wait) => setTimeout(wait, 30));
+        const reference = await upload(...args);
+        resolve(reference);
+        return reference;
+      };
+    });
+    const unpinned = [];
+    agent.storageProvider.unpin = async (reference) => {
+      unpinned.push(reference);
+    };
+
+    const error = await rejection(agent.uploadToStorage('output.md', 'late'));
+    expect(error).to.be.instanceOf(StorageError);
+    const reference = await late;
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(unpinned).to.deep.equal([reference]);
+  });
+
+  describe('collaborators', () => {
+    const alice = '0x000000000000000000000000000000000000a11c';
+    const bob = '0x0000000000000000000000000000000000000b0b';
+    const carol = '0x00000000000000000000000000000000000ca201';
+
+    beforeEach(() => {
+      agent.portal = { portalAddress, deploymentBlock: 0 };
+      contract.getCollaborators = () => [alice, bob, carol];
+      contract.isCollaborator = (address) =>
+        [alice, bob, carol].includes(address.toLowerCase());
+    });
+
+    const removedWith = () => {
+      const [[call]] = backend.sent;
+      expect(call.functionName).to.equal('removeCollaborator');
+      return call.args;
+    };
+
+    it('should pass the sentinel as the previous entry of the first collaborator', async () => {
+      await agent.removeCollaborator(alice);
+      expect(removedWith()).to.deep.equal([
+        '0x0000000000000000000000000000000000000001',
+        alice,
+      ]);
+    });
+
+    it('should pass the preceding collaborator for later entries', async () => {
+      await agent.removeCollaborator(carol.toUpperCase().replace('0X', '0x'));
+      expect(removedWith()).to.deep.equal([bob, carol]);
+    });
+
+    it('should reject removing an account that is not a collaborator', async () => {
+      const error = await rejection(agent.removeCollaborator('0x0000000000000000000000000000000000000d0e'));
+      expect(error.message).to.match(/is not a collaborator/);
+      expect(backend.sent).to.be.empty;
+    });
+
+    it('should reject adding an existing collaborator', async () => {
+      const error = await rejection(agent.addCollaborator(bob));
+      expect(error.message).to.match(/already a collaborator/);
+      expect(backend.sent).to.be.empty;
+
+      const result = await agent.addCollaborator('0x0000000000000000000000000000000000000d0e');
+      expect(backend.sent[0][0].functionName).to.equal('addCollaborator');
+      expect(result.collaborator).to.equal('0x0000000000000000000000000000000000000d0e');
+    });
+  });
+
+  describe('joinPortal', () => {
+    const ownerSafe = '0x0000000000000000000000000000000000000a0a';
+    let editKeypair;
+    let did;
+
+    beforeEach(async () => {
+      editKeypair = await ucans.EdKeypair.create();
+      const viewKeypair = await ucans.EdKeypair.create();
+      contract.isCollaborator = () => true;
+      contract.owner = () => ownerSafe;
+      contract.pendingOwner = () => '0x0000000000000000000000000000000000000000';
+      contract.collaboratorKeys = () => [viewKeypair.did(), editKeypair.did()];
+      // The joining agent's DID, from the portal it had loaded
+      agent.namespace = 'home-sepolia';
+      agent.portal = { portalAddress: '0x0000000000000000000000000000000000000002' };
+      did = await agent.getDid();
+    });
+
+    it('should save a portal joined with a token issued to the agent', async () => {
+      const authToken = await issueDelegation({
+        issuer: editKeypair,
+        audience: did,
+        portalAddress,
+        can: ['create'],
+      });
+
+      await agent.joinPortal('shared', { portalAddress, authToken });
+      const saved = await agent.credentialStore.load('shared-sepolia');
+      expect(saved.authToken).to.equal(authToken);
+      expect(saved.collaborator).to.be.true;
+      expect(await agent.getDid()).to.equal(did);
+    });
+
+    it('should reject agents that are not collaborators', async () => {
+      contract.isCollaborator = () => false;
+      const error = await rejection(agent.joinPortal('shared', { portalAddress }));
+      expect(error.message).to.match(/is not a collaborator/);
+      expect(await agent.credentialStore.load('shared-sepolia')).to.not.exist;
+    });
+
+    it('should reject tokens that are malformed, for another DID or not rooted at the portal', async () => {
+      const stranger = await ucans.EdKeypair.create();
+      const tokens = [
+        'not-a-ucan',
+        await issueDelegation({ issuer: editKeypair, audience: stranger.did(), portalAddress, can: 'create' }),
+        await issueDelegation({ issuer: stranger, audience: did, portalAddress, can: 'create' }),
+        await issueDelegation({
+          issuer: editKeypair,
+          audience: did,
+          portalAddress: '0x0000000000000000000000000000000000000003',
+          can: 'create',
+        }),
+      ];
+
+      for (const authToken of tokens) {
+        const error = await rejection(agent.joinPortal('shared', { portalAddress, authToken }));
+        expect(error.message).to.match(/authToken/);
+      }
+      expect(await agent.credentialStore.load('shared-sepolia')).to.not.exist;
+      expect(agent.portal.portalAddress).to.equal('0x0000000000000000000000000000000000000002');
+    });
+  });
+
+  describe('createBatch', () => {
+    beforeEach(() => {
+      agent.portal = { portalAddress, deploymentBlock: 0 };
+      backend.assignFileIds(portalAddress);
+    });
+
+    it('should send every file in a single call and map file ids from the logs', async () => {
+      const { files } = await agent.createBatch([
+        'first',
+        { output: 'second', fileName: 'second.txt', title: 'Second' },
+        Buffer.from('third'),
+      ]);
+
+      expect(backend.sent).to.have.lengthOf(1);
+      expect(backend.sent[0].map((call) => call.functionName)).to.deep.equal([
+        'addFile',
+        'addFile',
+        'addFile',
+      ]);
+      expect(files.map((file) => file.fileId)).to.deep.equal([10n, 11n, 12n]);
+      expect(files.map((file) => file.contentIpfsHash)).to.deep.equal(
+        backend.sent[0].map((call) => call.args[1])
+      );
+    });
+
+    it('should create a file per item when items have the same content', async () => {
+      const { files } = await agent.createBatch(['same', 'same']);
+
+      expect(files.map((file) => file.fileId)).to.deep.equal([10n, 11n]);
+      expect(files[0].contentIpfsHash).to.equal(files[1].contentIpfsHash);
+    });
+
+    it('should reject AddedFile logs that do not match the uploads', async () => {
+      backend.sendCalls = async (calls) => {
+        backend.emit(addedFileLog(portalAddress, 10, ['metadata', 'other', '']));
+        return FakeTransactionBackend.prototype.sendCalls.call(backend, calls);
+      };
+      const error = await rejection(agent.createBatch(['first']));
+      expect(error.message).to.match(/does not match/);
+    });
+
+    it('should reject invalid items before uploading anything', async () => {
+      for (const items of [[], ['first', null], [{ fileName: 'output.md' }]]) {
+        const error = await rejection(agent.createBatch(items));
+        expect(error).to.not.be.instanceOf(TypeError);
+      }
+      expect(fs.readdirSync(directory)).to.be.empty;
+      expect(backend.sent).to.be.empty;
+    });
+  });
+
+  describe('portal recovery', () => {
+    const portals = [
+      '0x0000000000000000000000000000000000000011',
+      '0x0000000000000000000000000000000000000012',
+    ];
+    const portalKeys = {
+      portalEncryptionKey: 'portal-encryption',
+      portalDecryptionKey: 'portal-decryption',
+      memberEncryptionKey: 'member-encryption',
+      memberDecryptionKey: 'member-decryption',
+    };
+    let metadataHashes;
+
+    // Registry deployments count pages from 1: page 0 reverts
+    const revert = () => {
+      throw new ContractFunctionExecutionError(
+        new ContractFunctionRevertedError({
+          abi: PortalRegistryABI,
+          functionName: 'ownedPortal',
+        }),
+        { abi: PortalRegistryABI, functionName: 'ownedPortal', args: [] }
+      );
+    };
+
+    beforeEach(async () => {
+      metadataHashes = {};
+      for (const [index, namespace] of ['other-sepolia', 'test-sepolia'].entries()) {
+        metadataHashes[portals[index]] = await agent.storageProvider.upload(
+          'metadata.json',
+          JSON.stringify(createPortalMetadata({ namespace })),
+          { contentType: 'application/json' }
+        );
+      }
+      contract.balancesOf = () => BigInt(portals.length);
+      contract.ownedPortal = (owner, resultsPerPage, page) => {
+        if (page === 0n) {
+          revert();
+        }
+        return page === 1n
+          ? portals.map((portal, index) => ({ portal, index: BigInt(index), tokenId: BigInt(index) }))
+          : [];
+      };
+      contract.metadataIPFSHash = (address) => metadataHashes[address];
+      const verifiers = Object.values(getPortalKeyVerifiers(portalKeys));
+      contract.keyVerifiers = (version) =>
+        version === 0n ? verifiers : verifiers.map(() => `0x${'00'.repeat(32)}`);
+    });
+
+    it('should re-attach to the portal whose metadata has the namespace', async () => {
+      const portalAddress = await agent.setupStorage('test', { portalKeys });
+
+      expect(portalAddress).to.equal(portals[1]);
+      expect(agent.recovered).to.be.true;
+      expect(backend.sent).to.be.empty;
+      const saved = await agent.credentialStore.load('test-sepolia');
+      expect(saved.portalAddress).to.equal(portals[1]);
+      expect(saved.portalKeys).to.deep.equal(portalKeys);
+      expect(saved.deploymentBlock).to.equal(Number(deployedAt));
+    });
+
+    it('should return null when no owned portal has the namespace', async () => {
+      expect(await agent.recoverPortal('missing-sepolia')).to.be.null;
+      expect(await agent.credentialStore.load('missing-sepolia')).to.not.exist;
+    });
+
+    it('should reject imported keys that do not match the key verifiers', async () => {
+      const error = await rejection(
+        agent.recoverPortal('test-sepolia', {
+          portalKeys: { ...portalKeys, memberDecryptionKey: 'other' },
+        })
+      );
+      expect(error.message).to.match(/do not match portal/);
+      expect(await agent.credentialStore.load('test-sepolia')).to.not.exist;
+    });
+
+    it('should only fall back to page 1 when page 0 reverts', async () => {
+      contract.ownedPortal = () => {
+        throw new Error('fetch failed');
+      };
+      const error = await rejection(agent.getOwnedPortals());
+      expect(error.message).to.equal('fetch failed');
+    });
+  });
+
+  describe('key rotation and ownership', function () {
+    // Portal keys hold RSA-4096 key pairs, which take a few seconds to generate
+    this.timeout(60000);
+    let portalKeys;
+
+    before(async () => {
+      portalKeys = await generatePortalKeys();
+    });
+
+    beforeEach(() => {
+      agent.namespace = 'test-sepolia';
+      agent.portal = { portalAddress, deploymentBlock: 0, portalKeys };
+      backend.assignFileIds(portalAddress);
+      const verifiers = Object.values(getPortalKeyVerifiers(portalKeys));
+      contract.keyVerifiers = (version) =>
+        version === 0n ? verifiers : verifiers.map(() => `0x${'00'.repeat(32)}`);
+    });
+
+    it('should keep private files written before a rotation readable', async () => {
+      const { fileId } = await agent.create('Private content', { isPrivate: true });
+      const [[{ args }]] = backend.sent;
+      contract.files = () => [...args.slice(0, 4)];
+
+      await agent.rotateKeys();
+      expect(backend.sent[1].map((call) => call.functionName)).to.deep.equal([
+        'updateKeyVerifiers',
+        'registerCollaboratorKeys',
+      ]);
+      expect(agent.portal.portalKeys).to.not.deep.equal(portalKeys);
+      expect(agent.portal.previousPortalKeys).to.deep.equal([portalKeys]);
+
+      const file = await agent.read(fileId);
+      expect(file.content).to.equal('Private content');
+      const saved = await agent.credentialStore.load('test-sepolia');
+      expect(saved.previousPortalKeys).to.deep.equal([portalKeys]);
+    });
+
+    it('should reject imported keys that do not match the portal on acceptOwnership', async () => {
+      const newPortal = '0x0000000000000000000000000000000000000004';
+      contract.owner = () => '0x0000000000000000000000000000000000000a0a';
+      contract.pendingOwner = () => agent.owner;
+      const otherKeys = { ...portalKeys, memberDecryptionKey: 'other' };
+
+      const error = await rejection(
+        agent.acceptOwnership(newPortal, { namespace: 'handed-over', portalKeys: otherKeys })
+      );
+      expect(error.message).to.match(/do not match portal/);
+      expect(backend.sent).to.be.empty;
+      expect(await agent.credentialStore.load('handed-over-sepolia')).to.not.exist;
+
+      await agent.acceptOwnership(newPortal, { namespace: 'handed-over', portalKeys });
+      expect(backend.sent[0][0].functionName).to.equal('acceptOwnership');
+      const saved = await agent.credentialStore.load('handed-over-sepolia');
+      expect(saved.portalKeys).to.deep.equal(portalKeys);
+    });
+  });
+
+  describe('partial batches', () => {
+    let eoa;
+    let outcomes;
+    let unpinned;
+
+    beforeEach(() => {
+      agent.portal = { portalAddress, deploymentBlock: 0 };
+      // Calls are sent one by one: outcomes[n] is 'revert' or 'timeout' for
+      // the nth transaction, which is mined otherwise
+      outcomes = [];
+      eoa = new EOATransactionBackend();
+      eoa.account = agent.viemAccount;
+      let sentCount = 0;
+      const calls = new Map();
+      eoa.walletClient = {
+        writeContract: async (call) => {
+          const hash = `0x${(++sentCount).toString(16).padStart(64, '0')}`;
+          calls.set(hash, { ...call, index: sentCount - 1 });
+          return hash;
+        },
+      };
+      eoa.publicClient = {
+        waitForTransactionReceipt: async ({ hash }) => {
+          const { index, args } = calls.get(hash);
+          if (outcomes[index] === 'timeout') {
+            throw new Error('Timed out');
+          }
+          return {
+            transactionHash: hash,
+            status: outcomes[index] === 'revert' ? 'reverted' : 'success',
+            logs: [addedFileLog(portalAddress, 10 + index, args)],
+          };
+        },
+      };
+      agent.transactionBackend = eoa;
+      unpinned = [];
+      const unpin = agent.storageProvider.unpin.bind(agent.storageProvider);
+      agent.storageProvider.unpin = async (reference) => {
+        unpinned.push(reference);
+        return unpin(reference);
+      };
+    });
+
+    const referencesOf = ({ metadataIpfsHash, contentIpfsHash }) => [
+      metadataIpfsHash,
+      contentIpfsHash,
+    ];
+
+    // createBatch with distinct items, returning the error and the calls sent
+    const failBatch = async () => {
+      const sent = [];
+      const writeContract = eoa.walletClient.writeContract;
+      eoa.walletClient.writeContract = async (call) => {
+        sent.push(call);
+        return writeContract(call);
+      };
+      const error = await rejection(agent.createBatch(['first', 'second', 'third', 'fourth']));
+      return {
+        error,
+        uploads: sent.map((call) => ({ metadataIpfsHash: call.args[0], contentIpfsHash: call.args[1] })),
+      };
+    };
+
+    it('should report the calls mined before a revert and only unpin the rest', async () => {
+      outcomes[2] = 'revert';
+      const { error, uploads } = await failBatch();
+
+      expect(error).to.be.instanceOf(TransactionError);
+      expect(error.included.map(({ index }) => index)).to.deep.equal([0, 1]);
+      expect(error.included.map(({ hash }) => hash)).to.deep.equal(
+        error.included.map(({ receipt }) => receipt.transactionHash)
+      );
+      expect(error.receipt.status).to.equal('reverted');
+      expect(uploads).to.have.lengthOf(3);
+      expect(unpinned).to.include.members(referencesOf(uploads[2]));
+      for (const upload of uploads.slice(0, 2)) {
+        expect(unpinned).to.not.include.members(referencesOf(upload));
+      }
+      // The fourth file was uploaded but never sent
+      expect(unpinned).to.have.lengthOf(4);
+    });
+
+    it('should keep the uploads of a call whose outcome is unknown', async () => {
+      outcomes[1] = 'timeout';
+      const { error, uploads } = await failBatch();
+
+      expect(error.included.map(({ index }) => index)).to.deep.equal([0]);
+      expect(error.hash).to.equal(`0x${'2'.padStart(64, '0')}`);
+      expect(error.receipt).to.be.undefined;
+      for (const upload of uploads) {
+        expect(unpinned).to.not.include.members(referencesOf(upload));
+      }
+      expect(unpinned).to.have.lengthOf(4);
+    });
+
+    it('should throw when a transaction looked up by hash reverted', async () => {
+      const hash = `0x${'9'.padStart(64, '0')}`;
+      eoa.publicClient.waitForTransactionReceipt = async () => ({
+        transactionHash: hash,
+        status: 'reverted',
+        logs: [],
+      });
+
+      const error = await rejection(eoa.waitForReceipt(hash));
+      expect(error).to.be.instanceOf(TransactionError);
+      expect(error.hash).to.equal(hash);
+      expect(error.receipt.status).to.equal('reverted');
+    });
+
+    it('should send every call when none fails', async () => {
+      const { files } = await agent.createBatch(['first', 'second']);
+      expect(files.map((file) => file.fileId)).to.deep.equal([10n, 11n]);
+      expect(unpinned).to.be.empty;
+    });
+  });
+
+  describe('replicated storage', function () {
+    // Portal keys hold RSA-4096 key pairs, which take a few seconds to generate
+    this.timeout(60000);
+    let portalKeys;
+    let files;
+
+    before(async () => {
+      portalKeys = await generatePortalKeys();
+    });
+
+    const createStorage = () =>
+      new ReplicatedStorageProvider({
+        providers: [
+          new LocalStorageProvider({ directory: path.join(directory, 'primary') }),
+          new MirrorStorageProvider({ directory: path.join(directory, 'mirror') }),
+        ],
+      });
+
+    const stored = (name) =>
+      fs.existsSync(path.join(directory, name)) ? fs.readdirSync(path.join(directory, name)) : [];
+
+    beforeEach(() => {
+      agent.storageProvider = createStorage();
+      agent.namespace = 'test-sepolia';
+      agent.portal = { portalAddress, deploymentBlock: 0, portalKeys };
+      backend.assignFileIds(portalAddress);
+      // Files as written by addFile and editFile calls, from fileId 10 on
+      files = [];
+      const sendCalls = backend.sendCalls.bind(backend);
+      backend.sendCalls = async (calls) => {
+        for (const { functionName, args } of calls) {
+          if (functionName === 'addFile') {
+            files.push(args.slice(0, 4));
+          } else if (functionName === 'editFile') {
+            files[Number(args[0]) - 10] = args.slice(1, 5);
+          }
+        }
+        return sendCalls(calls);
+      };
+      contract.files = (fileId) => files[Number(fileId) - 10];
+    });
+
+    it('should save metadata and gate replicas with the credentials', async () => {
+      await agent.create('Public content');
+      await agent.create('Private content', { isPrivate: true });
+
+      const [[metadata], [privateMetadata, , gate]] = files;
+      const { replicas } = await agent.credentialStore.load('test-sepolia');
+      expect(Object.keys(replicas)).to.have.members([metadata, privateMetadata, gate]);
+      expect(replicas[gate]).to.deep.equal([gate, gate.replace('local://', 'mirror://')]);
+      expect(agent.storageProvider.replicas.size).to.equal(0);
+    });
+
+    it('should read files from the replicas after a restart when the primary is down', async () => {
+      const { fileId: publicFile } = await agent.create('Public content');
+      const { fileId: privateFile } = await agent.create('Private content', { isPrivate: true });
+      fs.rmSync(path.join(directory, 'primary'), { recursive: true });
+
+      agent.storageProvider = createStorage();
+      agent.portal = await agent.credentialStore.load('test-sepolia');
+      expect((await agent.read(publicFile)).content).to.equal('Public content');
+      expect((await agent.read(privateFile)).content).to.equal('Private content');
+    });
+
+    it('should unpin every replica of a deleted file', async () => {
+      const { fileId } = await agent.create('Private content', { isPrivate: true });
+      agent.storageProvider = createStorage();
+
+      await agent.delete(fileId);
+      expect(stored('primary')).to.be.empty;
+      expect(stored('mirror')).to.be.empty;
+      const { replicas } = await agent.credentialStore.load('test-sepolia');
+      expect(replicas).to.deep.equal({});
+    });
   });
 });
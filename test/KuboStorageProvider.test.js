@@ -0,0 +1,87 @@
+import http from 'http';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { KuboStorageProvider } from '../storage/kubo.js';
+import { computeRawCid } from '../storage/utils.js';
+
+const readBody = async (request) => {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Implements the few RPC commands the provider uses, pinning in memory
+const createKuboNode = () => {
+  const pins = new Map();
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const cid = url.searchParams.get('arg');
+    if (request.method !== 'POST') {
+      response.writeHead(405).end();
+    } else if (url.pathname === '/api/v0/add') {
+      const form = await new Response(await readBody(request), {
+        headers: { 'content-type': request.headers['content-type'] },
+      }).formData();
+      const file = form.get('file');
+      const content = Buffer.from(await file.arrayBuffer());
+      const hash = computeRawCid(content);
+      pins.set(hash, content);
+      response.end(JSON.stringify({ Name: file.name, Hash: hash, Size: `${content.length}` }) + '\n');
+    } else if (url.pathname === '/api/v0/cat' && pins.has(cid)) {
+      response.end(pins.get(cid));
+    } else if (url.pathname === '/api/v0/pin/rm' && pins.delete(cid)) {
+      response.end(JSON.stringify({ Pins: [cid] }));
+    } else if (url.pathname === '/api/v0/version') {
+      response.end(JSON.stringify({ Version: '0.29.0' }));
+    } else {
+      response.writeHead(500).end(JSON.stringify({ Message: 'not pinned' }));
+    }
+  });
+  return { server, pins };
+};
+
+describe('KuboStorageProvider', () => {
+  let node;
+  let storageProvider;
+
+  beforeEach(async () => {
+    node = createKuboNode();
+    await new Promise((resolve) => node.server.listen(0, '127.0.0.1', resolve));
+    storageProvider = new KuboStorageProvider({
+      apiUrl: `http://127.0.0.1:${node.server.address().port}`,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => node.server.close(resolve));
+  });
+
+  it('should add, cat and unpin content', async () => {
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    expect(reference).to.equal(
+      'ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+    const content = await storageProvider.download(reference);
+    expect(content.toString()).to.equal('hello world');
+    expect(await storageProvider.verify(reference, content)).to.be.true;
+
+    expect(await storageProvider.unpin(reference)).to.equal(reference);
+    expect(node.pins.size).to.equal(0);
+  });
+
+  it('should surface RPC errors', async () => {
+    let error;
+    try {
+      await storageProvider.download('ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.contain('Kubo cat failed (500)');
+  });
+
+  it('should report whether the node is reachable', async () => {
+    expect(await storageProvider.isConnected()).to.be.true;
+    const unreachable = new KuboStorageProvider({ apiUrl: 'http://127.0.0.1:1' });
+    expect(await unreachable.isConnected()).to.be.false;
+  });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { LocalStorageProvider } from '../storage/local.js';
+
+describe('LocalStorageProvider', () => {
+  let directory;
+  let storageProvider;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-storage-'));
+    storageProvider = new LocalStorageProvider({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should content-address uploads with CIDv1 hashes', async () => {
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    expect(reference).to.equal(
+      'local://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+    expect(await storageProvider.upload('copy.md', 'hello world')).to.equal(reference);
+  });
+
+  it('should download and unpin uploads', async () => {
+    const reference = await storageProvider.upload('output.md', 'Test content @001');
+    const content = await storageProvider.download(reference);
+    expect(content.toString()).to.equal('Test content @001');
+
+    expect(await storageProvider.unpin(reference)).to.equal(reference);
+    let error;
+    try {
+      await storageProvider.download(reference);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+  });
+
+  it('should keep shared content until every upload of it is unpinned', async () => {
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    expect(await storageProvider.upload('copy.md', 'hello world')).to.equal(reference);
+
+    await storageProvider.unpin(reference);
+    expect((await storageProvider.download(reference)).toString()).to.equal('hello world');
+    await storageProvider.unpin(reference);
+    expect(fs.readdirSync(directory)).to.be.empty;
+  });
+
+  it('should verify content against its reference', async () => {
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    expect(await storageProvider.verify(reference, Buffer.from('hello world'))).to.be.true;
+    expect(await storageProvider.verify(reference, Buffer.from('tampered'))).to.be.false;
+  });
+
+  it('should reject references outside the storage directory', async () => {
+    let error;
+    try {
+      await storageProvider.download('local://../../etc/passwd');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+  });
+
+  it('should report connected for a writable directory', async () => {
+    expect(await storageProvider.isConnected()).to.be.true;
+  });
+});
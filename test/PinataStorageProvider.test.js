@@ -0,0 +1,70 @@
+import http from 'http';
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import { PinataStorageProvider } from '../storage/pinata.js';
+import { computeRawCid } from '../storage/utils.js';
+
+// Serves pinned content like a gateway, with the content types that make
+// the SDK parse responses
+const createGateway = () => {
+  const content = new Map();
+  const server = http.createServer((request, response) => {
+    const [, prefix, cid] = request.url.split('/');
+    if (prefix !== 'ipfs' || !content.has(cid)) {
+      response.writeHead(404).end('not found');
+      return;
+    }
+    const { bytes, contentType } = content.get(cid);
+    response.writeHead(200, { 'content-type': contentType }).end(bytes);
+  });
+  return { server, content };
+};
+
+describe('PinataStorageProvider', () => {
+  let gateway;
+  let provider;
+
+  before(async () => {
+    gateway = createGateway();
+    await new Promise((resolve) => gateway.server.listen(0, '127.0.0.1', resolve));
+    const { port } = gateway.server.address();
+    provider = new PinataStorageProvider({
+      pinataJWT: 'jwt',
+      pinataGateway: 'example.mypinata.cloud',
+    });
+    // resolve CIDs against the local gateway instead of the configured one
+    provider.pinata.gateways.convert = async (cid) => `http://127.0.0.1:${port}/ipfs/${cid}`;
+  });
+
+  after(() => {
+    gateway.server.close();
+  });
+
+  it('should download the raw bytes of JSON content', async () => {
+    const bytes = Buffer.from(JSON.stringify({ name: 'output.md', size: 3 }, null, 2));
+    const cid = computeRawCid(bytes);
+    gateway.content.set(cid, { bytes, contentType: 'application/json; charset=utf-8' });
+
+    const downloaded = await provider.download(`ipfs://${cid}`);
+    expect(Buffer.isBuffer(downloaded)).to.be.true;
+    expect(downloaded.equals(bytes)).to.be.true;
+    expect(await provider.verify(`ipfs://${cid}`, downloaded)).to.be.true;
+  });
+
+  it('should download binary content', async () => {
+    const bytes = Buffer.from([0, 255, 1, 254]);
+    const cid = computeRawCid(bytes);
+    gateway.content.set(cid, { bytes, contentType: 'application/octet-stream' });
+    expect((await provider.download(cid)).equals(bytes)).to.be.true;
+  });
+
+  it('should throw when the gateway has no content', async () => {
+    let error;
+    try {
+      await provider.download(`ipfs://${computeRawCid(Buffer.from('missing'))}`);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include('404');
+  });
+});
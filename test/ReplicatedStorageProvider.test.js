@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { LocalStorageProvider } from '../storage/local.js';
+import { ReplicatedStorageProvider } from '../storage/replicated.js';
+import { StorageError } from '../storage/errors.js';
+
+// A second backend with its own reference scheme, like Swarm next to IPFS
+class MirrorStorageProvider extends LocalStorageProvider {
+  async protocol() {
+    return 'mirror://';
+  }
+}
+
+class FailingStorageProvider extends LocalStorageProvider {
+  async upload() {
+    throw new Error('Service unavailable');
+  }
+}
+
+describe('ReplicatedStorageProvider', () => {
+  let directory;
+  let primary;
+  let mirror;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-replicated-'));
+    primary = new LocalStorageProvider({ directory: path.join(directory, 'primary') });
+    mirror = new MirrorStorageProvider({ directory: path.join(directory, 'mirror') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should upload to every provider and keep their references', async () => {
+    const storageProvider = new ReplicatedStorageProvider({ providers: [primary, mirror] });
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    expect(reference).to.match(/^local:\/\//);
+    expect(storageProvider.getReplicas(reference)).to.deep.equal([
+      reference,
+      reference.replace('local://', 'mirror://'),
+    ]);
+  });
+
+  it('should fall back to a replica when a provider loses the content', async () => {
+    const storageProvider = new ReplicatedStorageProvider({ providers: [primary, mirror] });
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    const replicas = storageProvider.getReplicas(reference);
+    await primary.unpin(reference);
+
+    // a fresh instance only knows the replicas recorded in the metadata
+    const reader = new ReplicatedStorageProvider({ providers: [primary, mirror] });
+    const content = await reader.download(reference, { replicas });
+    expect(content.toString()).to.equal('hello world');
+  });
+
+  it('should skip replicas whose content does not match', async () => {
+    const storageProvider = new ReplicatedStorageProvider({ providers: [primary, mirror] });
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    const cid = reference.replace('local://', '');
+    fs.writeFileSync(path.join(directory, 'primary', cid), 'tampered');
+
+    const content = await storageProvider.download(reference);
+    expect(content.toString()).to.equal('hello world');
+  });
+
+  it('should fail uploads below the quorum and unpin partial uploads', async () => {
+    const failing = new FailingStorageProvider({ directory: path.join(directory, 'failing') });
+    const storageProvider = new ReplicatedStorageProvider({ providers: [primary, failing] });
+    let error;
+    try {
+      await storageProvider.upload('output.md', 'hello world');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(StorageError);
+    expect(fs.readdirSync(path.join(directory, 'primary'))).to.be.empty;
+
+    const quorumOfOne = new ReplicatedStorageProvider({
+      providers: [failing, primary],
+      quorum: 1,
+    });
+    const reference = await quorumOfOne.upload('output.md', 'hello world');
+    expect(reference).to.match(/^local:\/\//);
+  });
+
+  it('should unpin every replica', async () => {
+    const storageProvider = new ReplicatedStorageProvider({ providers: [primary, mirror] });
+    const reference = await storageProvider.upload('output.md', 'hello world');
+    await storageProvider.unpin(reference);
+    expect(fs.readdirSync(path.join(directory, 'primary'))).to.be.empty;
+    expect(fs.readdirSync(path.join(directory, 'mirror'))).to.be.empty;
+  });
+});
@@ -0,0 +1,342 @@
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { Bytes, FeedIndex, MantarayNode, MerkleTree, NULL_ADDRESS, Reference } from '@ethersphere/bee-js';
+import { SwarmStorageProvider } from '../storage/swarm.js';
+import { toBuffer } from '../storage/utils.js';
+
+const batchId = 'a'.repeat(64);
+const boughtBatchId = 'b'.repeat(64);
+const DAY = 24 * 60 * 60;
+
+// Stands in for bee-js: raw data is addressed by the root of its chunk tree,
+// the way a Bee node does, and kept in memory. Files are stored behind a
+// single-file manifest like the one Bee writes. tamper swaps what a
+// reference resolves to, like a dishonest node.
+const createBee = () => {
+  const store = new Map();
+  // References pinned with each upload, unpinned together
+  const pins = new Map();
+  const put = async (data) => {
+    const reference = new Reference((await MerkleTree.root(data)).hash());
+    store.set(reference.toHex(), Buffer.from(data));
+    return reference;
+  };
+  const bee = {
+    store,
+    uploads: [],
+    uploadData: async (postageBatchId, data, options) => {
+      const reference = await put(data);
+      pins.set(reference.toHex(), [reference.toHex()]);
+      bee.uploads.push({ postageBatchId: `${postageBatchId}`, options });
+      return { reference };
+    },
+    uploadFile: async (postageBatchId, data, name, options) => {
+      const references = [];
+      const writer = {
+        uploadData: async (postageBatchId, chunk) => {
+          const reference = await put(chunk);
+          references.push(reference.toHex());
+          return { reference };
+        },
+      };
+      const manifest = new MantarayNode();
+      manifest.addFork('/', NULL_ADDRESS, { 'website-index-document': name });
+      manifest.addFork(name, (await writer.uploadData(postageBatchId, data)).reference, {
+        'Content-Type': options.contentType,
+        Filename: name,
+      });
+      const { reference } = await manifest.saveRecursively(writer, postageBatchId);
+      pins.set(reference.toHex(), references);
+      bee.uploads.push({ postageBatchId: `${postageBatchId}`, name, options });
+      return { reference };
+    },
+    downloadData: async (reference) => {
+      if (!store.has(`${reference}`)) {
+        throw new Error('Not Found');
+      }
+      return new Bytes(store.get(`${reference}`));
+    },
+    downloadFile: async (reference) => {
+      const manifest = await MantarayNode.unmarshal(bee, `${reference}`);
+      await manifest.loadRecursively(bee);
+      const name = manifest.getDocsMetadata().indexDocument;
+      const file = manifest.find(name);
+      return {
+        name,
+        contentType: file.metadata['Content-Type'],
+        data: await bee.downloadData(new Reference(file.targetAddress).toHex()),
+      };
+    },
+    tamper: (reference, data) => store.set(reference, Buffer.from(data)),
+    unpin: async (reference) => {
+      for (const pinned of pins.get(`${reference}`) || []) {
+        store.delete(pinned);
+      }
+      pins.delete(`${reference}`);
+    },
+  };
+  return bee;
+};
+
+// Postage batch endpoints over in-memory batches: { ttl, size, remainingSize }
+// by ID. Batches missing from the map are unknown or expired.
+const withBatches = (bee, batches) => {
+  bee.calls = [];
+  bee.getPostageBatch = async (postageBatchId) => {
+    bee.calls.push(['getPostageBatch', `${postageBatchId}`]);
+    const batch = batches.get(`${postageBatchId}`);
+    if (!batch) {
+      throw new Error('Not Found');
+    }
+    return {
+      batchID: { toHex: () => `${postageBatchId}` },
+      usable: true,
+      duration: { toSeconds: () => batch.ttl },
+      usage: 1 - batch.remainingSize / batch.size,
+      size: { toBytes: () => batch.size },
+      remainingSize: { toBytes: () => batch.remainingSize },
+    };
+  };
+  bee.buyStorage = async (size, duration) => {
+    bee.calls.push(['buyStorage', size.toBytes(), duration.toSeconds()]);
+    batches.set(boughtBatchId, { ttl: duration.toSeconds(), size: size.toBytes(), remainingSize: size.toBytes() });
+    return { toHex: () => boughtBatchId };
+  };
+  bee.extendStorageDuration = async (postageBatchId, duration) => {
+    bee.calls.push(['extendStorageDuration', `${postageBatchId}`, duration.toSeconds()]);
+    batches.get(`${postageBatchId}`).ttl += duration.toSeconds();
+  };
+  bee.extendStorageSize = async (postageBatchId, size) => {
+    bee.calls.push(['extendStorageSize', `${postageBatchId}`, size.toBytes()]);
+    const batch = batches.get(`${postageBatchId}`);
+    batch.remainingSize += size.toBytes() - batch.size;
+    batch.size = size.toBytes();
+  };
+  return bee;
+};
+
+// Feeds as lists of references by topic
+const withFeeds = (bee) => {
+  const feeds = new Map();
+  bee.makeFeedWriter = (topic) => ({
+    uploadReference: async (postageBatchId, reference) => {
+      bee.calls.push(['uploadReference', `${postageBatchId}`]);
+      feeds.set(topic.toHex(), [...(feeds.get(topic.toHex()) || []), `${reference}`]);
+    },
+  });
+  bee.makeFeedReader = (topic) => ({
+    downloadReference: async () => {
+      const updates = feeds.get(topic.toHex()) || [];
+      if (!updates.length) {
+        throw new Error('Not Found');
+      }
+      return {
+        reference: new Reference(updates[updates.length - 1]),
+        feedIndex: FeedIndex.fromBigInt(BigInt(updates.length - 1)),
+      };
+    },
+  });
+  return bee;
+};
+
+describe('SwarmStorageProvider', () => {
+  let provider;
+  let bee;
+
+  beforeEach(() => {
+    provider = new SwarmStorageProvider({ beeUrl: 'http://localhost:1633', postageBatchId: batchId });
+    bee = createBee();
+    provider.bee = bee;
+    provider.ensureBatch = async () => batchId;
+  });
+
+  it('should upload files with their content type and download the same bytes', async () => {
+    const content = Buffer.from(JSON.stringify({ a: 1 }, null, 2));
+    const reference = await provider.upload('metadata.json', content, { contentType: 'application/json' });
+
+    expect(reference).to.match(/^bzz:\/\/[0-9a-f]{64}$/);
+    expect(bee.uploads[0]).to.deep.equal({
+      postageBatchId: batchId,
+      name: 'metadata.json',
+      options: { contentType: 'application/json', pin: true },
+    });
+    expect((await bee.downloadFile(reference.replace('bzz://', ''))).contentType).to.equal('application/json');
+    const downloaded = await toBuffer(await provider.download(reference));
+    expect(downloaded.equals(content)).to.be.true;
+    expect(await provider.verify(reference, downloaded)).to.be.true;
+  });
+
+  it('should download and verify file manifests uploaded directly to Bee', async () => {
+    const content = Buffer.from('# Report');
+    const { reference } = await bee.uploadFile(batchId, content, 'report.md', { contentType: 'text/markdown' });
+
+    const downloaded = await provider.download(`bzz://${reference.toHex()}`);
+    expect(downloaded.equals(content)).to.be.true;
+    expect(await provider.verify(`bzz://${reference.toHex()}`, downloaded)).to.be.true;
+    expect(await provider.verify(`bzz://${reference.toHex()}`, 'Hello World')).to.be.false;
+  });
+
+  it('should download and verify references to raw data', async () => {
+    const content = Buffer.from('Hello World');
+    const { reference } = await bee.uploadData(batchId, content, { pin: true });
+
+    const downloaded = await provider.download(`bzz://${reference.toHex()}`);
+    expect(downloaded.equals(content)).to.be.true;
+    expect(await provider.verify(`bzz://${reference.toHex()}`, downloaded)).to.be.true;
+  });
+
+  it('should verify references of content spanning several chunks', async () => {
+    const content = Buffer.alloc(4096 * 130, 7);
+    const reference = await provider.upload('large.bin', content);
+
+    expect(await provider.verify(reference, await provider.download(reference))).to.be.true;
+  });
+
+  it('should reject tampered content', async () => {
+    const reference = await provider.upload('output.md', 'Hello World');
+    bee.tamper(await provider.getDataReference(reference), 'Hello W0rld');
+
+    const downloaded = await provider.download(reference);
+    expect(downloaded.toString()).to.equal('Hello W0rld');
+    expect(await provider.verify(reference, downloaded)).to.be.false;
+  });
+});
+
+describe('SwarmStorageProvider postage batches', () => {
+  const size = 1000;
+  let batches;
+  let bee;
+
+  const createProvider = (options = {}) => {
+    const provider = new SwarmStorageProvider({
+      beeUrl: 'http://localhost:1633',
+      postageBatchId: batchId,
+      ...options,
+      batchPolicy: { size, duration: 30 * DAY, ...options.batchPolicy },
+    });
+    provider.bee = bee;
+    return provider;
+  };
+
+  beforeEach(() => {
+    batches = new Map([[batchId, { ttl: 10 * DAY, size, remainingSize: size }]]);
+    bee = withBatches(createBee(), batches);
+  });
+
+  const rejection = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected a rejection');
+  };
+
+  it('should reuse a usable batch and cache the check', async () => {
+    const provider = createProvider({ batchPolicy: { buy: true, topUp: true } });
+    await provider.upload('output.md', 'first');
+    await provider.upload('output.md', 'second');
+
+    expect(bee.calls).to.deep.equal([['getPostageBatch', batchId]]);
+    expect(bee.uploads.map((upload) => upload.postageBatchId)).to.deep.equal([batchId, batchId]);
+  });
+
+  it('should buy a batch when the configured one expired', async () => {
+    batches.delete(batchId);
+    const provider = createProvider({ batchPolicy: { buy: true } });
+    await provider.upload('output.md', 'content');
+
+    expect(bee.calls.map(([name]) => name)).to.deep.equal([
+      'getPostageBatch',
+      'buyStorage',
+      'getPostageBatch',
+    ]);
+    expect(bee.calls[1]).to.deep.equal(['buyStorage', size, 30 * DAY]);
+    expect(provider.postageBatchId).to.equal(boughtBatchId);
+    expect(bee.uploads[0].postageBatchId).to.equal(boughtBatchId);
+  });
+
+  it('should buy a batch when none is configured', async () => {
+    const provider = createProvider({ postageBatchId: undefined, batchPolicy: { buy: true } });
+    await provider.upload('output.md', 'content');
+    expect(bee.uploads[0].postageBatchId).to.equal(boughtBatchId);
+  });
+
+  it('should not buy batches unless the policy allows it', async () => {
+    batches.delete(batchId);
+    const provider = createProvider();
+    const error = await rejection(provider.upload('output.md', 'content'));
+
+    expect(error.message).to.match(/not found or expired/);
+    expect(bee.calls.map(([name]) => name)).to.not.include('buyStorage');
+    expect(bee.uploads).to.be.empty;
+  });
+
+  it('should top up a batch that runs out of space or time', async () => {
+    batches.set(batchId, { ttl: DAY / 2, size, remainingSize: 10 });
+    const provider = createProvider({ batchPolicy: { topUp: true } });
+    await provider.upload('output.md', 'x'.repeat(100));
+
+    expect(bee.calls).to.deep.include(['extendStorageDuration', batchId, 30 * DAY]);
+    expect(bee.calls).to.deep.include(['extendStorageSize', batchId, 2 * size]);
+    expect(batches.get(batchId).remainingSize).to.equal(size + 10);
+    expect(provider.batchStatus.ttl).to.equal(DAY / 2 + 30 * DAY);
+  });
+
+  it('should only warn about a low batch without topUp', async () => {
+    batches.set(batchId, { ttl: DAY / 2, size, remainingSize: size });
+    const provider = createProvider();
+    await provider.upload('output.md', 'content');
+
+    expect(bee.calls.map(([name]) => name)).to.deep.equal(['getPostageBatch']);
+    expect(bee.uploads).to.have.lengthOf(1);
+  });
+
+  it('should return the reference it unpinned', async () => {
+    const provider = createProvider();
+    const reference = await provider.upload('output.md', 'content');
+
+    expect(await provider.unpin(reference)).to.equal(reference);
+    expect(bee.store.size).to.equal(0);
+  });
+});
+
+describe('SwarmStorageProvider feeds', () => {
+  const signer = '11'.repeat(32);
+  let provider;
+  let bee;
+
+  beforeEach(() => {
+    bee = withFeeds(withBatches(createBee(), new Map([[batchId, { ttl: 10 * DAY, size: 1000, remainingSize: 1000 }]])));
+    provider = new SwarmStorageProvider({ beeUrl: 'http://localhost:1633', postageBatchId: batchId, signer });
+    provider.bee = bee;
+  });
+
+  it('should publish outputs to a feed and read the latest update', async () => {
+    const first = await provider.publish('daily-report', 'report.md', 'Monday');
+    const second = await provider.publish('daily-report', 'report.md', 'Tuesday');
+
+    expect(first.owner).to.equal(provider.getFeedOwner());
+    expect(bee.calls.filter(([name]) => name === 'uploadReference')).to.deep.equal([
+      ['uploadReference', batchId],
+      ['uploadReference', batchId],
+    ]);
+    const latest = await provider.readFeed('daily-report');
+    expect(latest.reference).to.equal(second.reference);
+    expect(latest.index).to.equal(1n);
+    expect((await provider.download(latest.reference)).toString()).to.equal('Tuesday');
+  });
+
+  it('should point a feed at an existing reference', async () => {
+    const reference = await provider.upload('report.md', 'Monday');
+    const update = await provider.updateFeed('weekly-report', reference);
+
+    expect(update.reference).to.equal(reference);
+    expect((await provider.readFeed('weekly-report')).reference).to.equal(reference);
+  });
+
+  it('should require a signer to write feeds', async () => {
+    provider.signer = undefined;
+    expect(() => provider.getFeedOwner()).to.throw(/signer is required/);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { generatePortalKeys } from '../agent/keys.js';
+import {
+  generateFileKey,
+  encryptWithFileKey,
+  decryptWithFileKey,
+  createGate,
+  openGate,
+} from '../agent/crypto.js';
+
+describe('crypto', () => {
+  let portalKeys;
+
+  before(async function () {
+    this.timeout(60000);
+    portalKeys = await generatePortalKeys();
+  });
+
+  it('should round-trip content with a file key', () => {
+    const fileKey = generateFileKey();
+    const encrypted = encryptWithFileKey(fileKey, 'Secret report');
+    expect(encrypted).to.not.include('Secret report');
+    expect(decryptWithFileKey(fileKey, encrypted).toString()).to.equal('Secret report');
+  });
+
+  it('should open a gate with the portal or member decryption key', () => {
+    const fileKey = generateFileKey();
+    const gate = createGate(fileKey, portalKeys);
+    expect(openGate(gate, portalKeys).equals(fileKey)).to.be.true;
+    const memberKeys = { memberDecryptionKey: portalKeys.memberDecryptionKey };
+    expect(openGate(gate, memberKeys).equals(fileKey)).to.be.true;
+  });
+
+  it('should reject tampered ciphertext', () => {
+    const fileKey = generateFileKey();
+    const encrypted = Buffer.from(encryptWithFileKey(fileKey, 'Secret report'), 'base64');
+    encrypted[encrypted.length - 1] ^= 1;
+    expect(() => decryptWithFileKey(fileKey, encrypted.toString('base64'))).to.throw();
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before } from 'mocha';
+import { expect } from 'chai';
+import * as ucans from '@ucans/ucans';
+import {
+  issueDelegation,
+  verifyDelegation,
+  createRevocation,
+  verifyRevocation,
+} from '../agent/delegation.js';
+import { getAuthToken } from '../agent/keys.js';
+
+describe('UCAN delegation', () => {
+  const portalAddress = '0x0000000000000000000000000000000000000001';
+  let editKeypair;
+  let editSecret;
+  let agent;
+  let subAgent;
+  let rootIssuers;
+
+  before(async () => {
+    editKeypair = await ucans.EdKeypair.create({ exportable: true });
+    editSecret = await editKeypair.export();
+    const viewKeypair = await ucans.EdKeypair.create();
+    agent = await ucans.EdKeypair.create();
+    subAgent = await ucans.EdKeypair.create();
+    rootIssuers = [editKeypair.did(), viewKeypair.did()];
+  });
+
+  it('should verify the delegated abilities only', async () => {
+    const token = await issueDelegation({
+      issuer: editKeypair,
+      audience: agent.did(),
+      portalAddress,
+      can: ['create', 'edit'],
+    });
+    const options = { audience: agent.did(), portalAddress, rootIssuers };
+    const result = await verifyDelegation(token, { ...options, can: ['create', 'edit'] });
+    expect(result.valid).to.be.true;
+    expect(result.issuer).to.equal(editKeypair.did());
+    expect((await verifyDelegation(token, { ...options, can: 'view' })).valid).to.be.false;
+    expect(
+      (await verifyDelegation(token, { ...options, portalAddress: '0x02', can: 'create' })).valid
+    ).to.be.false;
+  });
+
+  it('should verify proof chains and cap their expiry', async () => {
+    const proof = await issueDelegation({
+      issuer: editKeypair,
+      audience: agent.did(),
+      portalAddress,
+      can: 'create',
+      lifetimeInSeconds: 60,
+    });
+    const token = await issueDelegation({
+      issuer: agent,
+      audience: subAgent.did(),
+      portalAddress,
+      can: 'create',
+      lifetimeInSeconds: 3600,
+      proofs: [proof],
+    });
+    expect(ucans.parse(token).payload.exp).to.equal(ucans.parse(proof).payload.exp);
+    const result = await verifyDelegation(token, {
+      audience: subAgent.did(),
+      portalAddress,
+      can: 'create',
+      rootIssuers,
+    });
+    expect(result.valid).to.be.true;
+
+    const escalated = await issueDelegation({
+      issuer: agent,
+      audience: subAgent.did(),
+      portalAddress,
+      can: 'edit',
+      proofs: [proof],
+    });
+    expect(
+      (await verifyDelegation(escalated, {
+        audience: subAgent.did(),
+        portalAddress,
+        can: 'edit',
+        rootIssuers,
+      })).valid
+    ).to.be.false;
+  });
+
+  it('should reject expired and unrooted tokens', async () => {
+    const expired = await issueDelegation({
+      issuer: editKeypair,
+      audience: agent.did(),
+      portalAddress,
+      can: 'create',
+      expiration: Math.floor(Date.now() / 1000) - 10,
+    });
+    const options = { audience: agent.did(), portalAddress, can: 'create', rootIssuers };
+    const result = await verifyDelegation(expired, options);
+    expect(result.valid).to.be.false;
+    expect(result.errors.join()).to.include('Expired');
+
+    const unrooted = await issueDelegation({
+      issuer: subAgent,
+      audience: agent.did(),
+      portalAddress,
+      can: 'create',
+    });
+    expect((await verifyDelegation(unrooted, options)).valid).to.be.false;
+  });
+
+  it('should honour signed revocations from the chain', async () => {
+    const proof = await issueDelegation({
+      issuer: editKeypair,
+      audience: agent.did(),
+      portalAddress,
+      can: 'create',
+    });
+    const token = await issueDelegation({
+      issuer: agent,
+      audience: subAgent.did(),
+      portalAddress,
+      can: 'create',
+      proofs: [proof],
+    });
+    const options = { audience: subAgent.did(), portalAddress, can: 'create', rootIssuers };
+
+    const revocation = await createRevocation(agent, token);
+    expect(await verifyRevocation(revocation)).to.be.true;
+    expect((await verifyDelegation(token, { ...options, revocations: [revocation] })).valid)
+      .to.be.false;
+
+    // only the issuer or a root can revoke, and the signature must match
+    const unauthorised = await createRevocation(subAgent, token);
+    const forged = { ...revocation, iss: subAgent.did() };
+    expect(
+      (await verifyDelegation(token, { ...options, revocations: [unauthorised, forged] })).valid
+    ).to.be.true;
+
+    const rootRevocation = await createRevocation(editKeypair, proof);
+    expect((await verifyDelegation(token, { ...options, revocations: [rootRevocation] })).valid)
+      .to.be.false;
+  });
+
+  it('should keep issuing create tokens with getAuthToken', async () => {
+    const token = await getAuthToken(portalAddress, editSecret, agent.did());
+    expect(
+      (await verifyDelegation(token, {
+        audience: agent.did(),
+        portalAddress,
+        can: 'create',
+        rootIssuers,
+      })).valid
+    ).to.be.true;
+  });
+});
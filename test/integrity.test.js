@@ -0,0 +1,49 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { toBuffer, verifyCid } from '../storage/utils.js';
+
+describe('Content integrity', () => {
+  const content = Buffer.from('hello world\n');
+
+  it('should verify raw CIDv1 references', () => {
+    const cid = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4';
+    expect(verifyCid(cid, content)).to.be.true;
+    expect(verifyCid(cid, Buffer.from('hello world'))).to.be.false;
+  });
+
+  it('should verify single-chunk dag-pb references', () => {
+    expect(
+      verifyCid('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o', content)
+    ).to.be.true;
+    expect(
+      verifyCid('QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH', Buffer.alloc(0))
+    ).to.be.true;
+    expect(
+      verifyCid(
+        'bafybeicg2rebjoofv4kbyovkw7af3rpiitvnl6i7ckcywaq6xjcxnc2mby',
+        Buffer.from('tampered')
+      )
+    ).to.be.false;
+  });
+
+  it('should not verify references it cannot recompute', () => {
+    expect(verifyCid('deleted', content)).to.be.null;
+    expect(
+      verifyCid(
+        'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o',
+        Buffer.alloc(300000)
+      )
+    ).to.be.null;
+  });
+
+  it('should not rebuild bytes from parsed responses', async () => {
+    expect((await toBuffer({ data: content })).equals(content)).to.be.true;
+    let error;
+    try {
+      await toBuffer({ hello: 'world' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  METADATA_SCHEMA_VERSION,
+  MetadataError,
+  createMetadata,
+  normalizeMetadata,
+  createPortalMetadata,
+  normalizePortalMetadata,
+} from '../agent/metadata.js';
+
+const author = { address: '0x0000000000000000000000000000000000000002', namespace: 'test-sepolia' };
+
+describe('File metadata', () => {
+  it('should create validated metadata', () => {
+    const metadata = createMetadata({
+      name: 'summary.md',
+      title: 'Summary',
+      tags: ['daily', 'daily ', 'summary'],
+      derivedFrom: [3n, '4'],
+      custom: { model: 'test' },
+      author,
+    });
+    expect(metadata).to.include({
+      schemaVersion: METADATA_SCHEMA_VERSION,
+      name: 'summary.md',
+      title: 'Summary',
+    });
+    expect(metadata.tags).to.deep.equal(['daily', 'summary']);
+    expect(metadata.derivedFrom).to.deep.equal(['3', '4']);
+    expect(metadata.createdAt).to.equal(metadata.updatedAt);
+    expect(metadata).to.not.have.property('description');
+  });
+
+  it('should carry fields over from the previous version', () => {
+    const previous = {
+      ...createMetadata({ name: 'summary.md', title: 'Summary', tags: ['daily'], author }),
+      createdAt: '2025-01-01T00:00:00.000Z',
+      contentIpfsHash: 'previous',
+    };
+    const metadata = createMetadata({ name: 'summary.md', tags: ['weekly'], author }, previous);
+    expect(metadata).to.include({ title: 'Summary', createdAt: '2025-01-01T00:00:00.000Z' });
+    expect(metadata.tags).to.deep.equal(['weekly']);
+    expect(metadata).to.not.have.property('contentIpfsHash');
+  });
+
+  it('should clear null fields and keep the author name on update', () => {
+    const previous = createMetadata({
+      name: 'summary.md',
+      title: 'Summary',
+      description: 'Daily summary',
+      tags: ['daily'],
+      custom: { model: 'test' },
+      author: { ...author, name: 'summariser' },
+    });
+    const metadata = createMetadata(
+      { name: 'summary.md', title: null, tags: null, custom: null, author },
+      previous
+    );
+    expect(metadata).to.not.have.property('title');
+    expect(metadata).to.include({ description: 'Daily summary' });
+    expect(metadata.tags).to.deep.equal([]);
+    expect(metadata.custom).to.deep.equal({});
+    expect(metadata.author).to.deep.equal({ ...author, name: 'summariser' });
+
+    const cleared = createMetadata({ name: 'summary.md', author: { ...author, name: null } }, previous);
+    expect(cleared.author).to.deep.equal(author);
+    const other = { address: '0x0000000000000000000000000000000000000003', namespace: 'other-sepolia' };
+    expect(createMetadata({ name: 'summary.md', author: other }, previous).author).to.deep.equal(other);
+  });
+
+  it('should reject invalid fields', () => {
+    const invalid = [
+      [{ name: '' }, 'name'],
+      [{ name: 'a.md', title: 1 }, 'title'],
+      [{ name: 'a.md', tags: [''] }, 'tags'],
+      [{ name: 'a.md', derivedFrom: ['-1'] }, 'derivedFrom'],
+      [{ name: 'a.md', custom: [] }, 'custom'],
+    ];
+    for (const [fields, field] of invalid) {
+      expect(() => createMetadata({ author, ...fields }))
+        .to.throw(MetadataError)
+        .with.property('field', field);
+    }
+    expect(() => createMetadata({ name: 'a.md' }))
+      .to.throw(MetadataError)
+      .with.property('field', 'author');
+  });
+
+  it('should read metadata written before the schema', () => {
+    expect(
+      normalizeMetadata({
+        name: '0x01/test-sepolia/output.md',
+        description: 'File created by FileverseAgent',
+      })
+    ).to.deep.equal({
+      schemaVersion: 0,
+      name: 'output.md',
+      description: 'File created by FileverseAgent',
+      tags: [],
+      derivedFrom: [],
+      custom: {},
+    });
+    expect(normalizeMetadata(null)).to.be.null;
+  });
+
+  describe('portal metadata', () => {
+    it('should create a profile that keeps the namespace', () => {
+      const metadata = createPortalMetadata({
+        namespace: 'test-sepolia',
+        name: 'Summariser',
+        capabilities: ['summarise'],
+        links: ['https://example.com', { url: 'https://example.com/docs', label: 'Docs' }],
+      });
+      expect(metadata).to.include({
+        schemaVersion: METADATA_SCHEMA_VERSION,
+        namespace: 'test-sepolia',
+        source: 'FileverseAgent',
+        name: 'Summariser',
+      });
+      expect(metadata.links).to.deep.equal([
+        { url: 'https://example.com' },
+        { url: 'https://example.com/docs', label: 'Docs' },
+      ]);
+    });
+
+    it('should keep fields that are not passed and clear null ones', () => {
+      const previous = createPortalMetadata({
+        namespace: 'test-sepolia',
+        name: 'Summariser',
+        avatar: 'https://example.com/avatar.png',
+        capabilities: ['summarise'],
+      });
+      const metadata = createPortalMetadata(
+        { namespace: 'test-sepolia', description: 'Summaries', avatar: null },
+        previous
+      );
+      expect(metadata).to.include({ name: 'Summariser', description: 'Summaries' });
+      expect(metadata).to.not.have.property('avatar');
+      expect(metadata.capabilities).to.deep.equal(['summarise']);
+      expect(metadata.createdAt).to.equal(previous.createdAt);
+    });
+
+    it('should reject invalid profiles', () => {
+      expect(() => createPortalMetadata({ name: 'Summariser' }))
+        .to.throw(MetadataError)
+        .with.property('field', 'namespace');
+      expect(() => createPortalMetadata({ namespace: 'test-sepolia', links: ['not a url'] }))
+        .to.throw(MetadataError)
+        .with.property('field', 'links');
+      expect(() => createPortalMetadata({ namespace: 'test-sepolia', capabilities: [1] }))
+        .to.throw(MetadataError)
+        .with.property('field', 'capabilities');
+    });
+
+    it('should read metadata written before profiles', () => {
+      expect(
+        normalizePortalMetadata({ namespace: 'test-sepolia', source: 'FileverseAgent' })
+      ).to.deep.equal({
+        namespace: 'test-sepolia',
+        source: 'FileverseAgent',
+        schemaVersion: 0,
+        capabilities: [],
+        links: [],
+        custom: {},
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { withRetry, withTimeout, TimeoutError } from '../agent/retry.js';
+
+describe('retry', () => {
+  const options = { retries: 3, delay: 1, maxDelay: 5, timeout: 100 };
+
+  it('should retry until the operation succeeds', async () => {
+    let attempts = 0;
+    const result = await withRetry(async () => {
+      attempts++;
+      if (attempts < 3) throw new Error('flaky');
+      return 'done';
+    }, options);
+    expect(result).to.equal('done');
+    expect(attempts).to.equal(3);
+  });
+
+  it('should throw the last error once retries are exhausted', async () => {
+    let attempts = 0;
+    let error;
+    try {
+      await withRetry(async () => {
+        attempts++;
+        throw new Error(`attempt ${attempts}`);
+      }, options);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('attempt 4');
+  });
+
+  it('should not retry errors rejected by shouldRetry', async () => {
+    let attempts = 0;
+    let error;
+    try {
+      await withRetry(async () => {
+        attempts++;
+        throw new Error('fatal');
+      }, { ...options, shouldRetry: () => false });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('fatal');
+    expect(attempts).to.equal(1);
+  });
+
+  it('should time out slow operations', async () => {
+    let error;
+    try {
+      await withTimeout(new Promise(() => {}), 10);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(TimeoutError);
+    expect(error.timeout).to.equal(10);
+  });
+
+  it('should hand over results that arrive after the timeout', async () => {
+    const late = [];
+    const result = await withRetry(
+      (attempt) => new Promise((resolve) => setTimeout(() => resolve(attempt), attempt ? 0 : 30)),
+      { ...options, timeout: 10, onLateResult: (result) => late.push(result) }
+    );
+    expect(result).to.equal(1);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    expect(late).to.deep.equal([0]);
+  });
+});
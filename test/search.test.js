@@ -0,0 +1,168 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { privateKeyToAccount } from 'viem/accounts';
+import { sepolia } from 'viem/chains';
+import { Agent, LocalStorageProvider, EOATransactionBackend } from '../index.js';
+import { MemoryCredentialStore } from '../credentials/index.js';
+import { FileSystemIndexStore, MemoryIndexStore, searchRecords } from '../search/index.js';
+
+const records = [
+  {
+    fileId: '0',
+    name: 'report.md',
+    text: '# Weekly report\nRevenue grew in the Gnosis market.',
+    tags: ['finance'],
+    createdBy: '0xAa',
+    updatedBy: '0xAa',
+    updatedAt: 1700000000,
+  },
+  {
+    fileId: '1',
+    name: 'notes.md',
+    text: 'Meeting notes: revenue, revenue and hiring.',
+    createdBy: '0xBb',
+    updatedBy: '0xBb',
+    updatedAt: 1700100000,
+  },
+  {
+    fileId: '2',
+    name: 'old-report.md',
+    text: 'Revenue',
+    deleted: true,
+    updatedAt: 1700200000,
+  },
+];
+
+describe('Local index', () => {
+  describe('searchRecords', () => {
+    it('should rank full-text matches and require every word', () => {
+      const results = searchRecords(records, 'revenue');
+      expect(results.map((result) => result.fileId)).to.deep.equal(['1', '0']);
+      expect(results[0].snippet).to.include('revenue');
+      expect(results[0]).to.not.have.property('text');
+      expect(searchRecords(records, 'revenue gnosis').map((result) => result.fileId))
+        .to.deep.equal(['0']);
+      expect(searchRecords(records, 'report')[0].fileId).to.equal('0');
+    });
+
+    it('should filter by name, author, date and deletion', () => {
+      expect(searchRecords(records, '', { name: 'notes' })).to.have.length(1);
+      expect(searchRecords(records, '', { tag: 'finance' })[0].fileId).to.equal('0');
+      expect(searchRecords(records, 'finance')[0].fileId).to.equal('0');
+      expect(searchRecords(records, '', { author: '0xbb' })[0].fileId).to.equal('1');
+      expect(searchRecords(records, '', { from: '1700050000' })[0].fileId).to.equal('1');
+      expect(searchRecords(records, '', { to: new Date(1700050000 * 1000) })[0].fileId)
+        .to.equal('0');
+      expect(searchRecords(records, 'revenue', { includeDeleted: true })).to.have.length(3);
+    });
+  });
+
+  describe('FileSystemIndexStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-index-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should save, load and remove indexes', async () => {
+      const store = new FileSystemIndexStore({ directory });
+      const index = { portalAddress: '0x01', syncedBlock: '12', files: {} };
+      expect(await store.load('test-sepolia')).to.be.null;
+      await store.save('test-sepolia', index);
+      expect(await store.load('test-sepolia')).to.deep.equal(index);
+      expect(fs.readdirSync(directory)).to.deep.equal(['test-sepolia.json']);
+      await store.remove('test-sepolia');
+      expect(await store.load('test-sepolia')).to.be.null;
+    });
+  });
+
+  describe('syncIndex', () => {
+    let directory;
+    let agent;
+    let storage;
+    let logs;
+    let head;
+
+    const upload = async (name, content) => ({
+      metadataIPFSHash: await storage.upload(
+        'metadata.json',
+        JSON.stringify({ name, contentType: 'text/markdown' })
+      ),
+      contentIPFSHash: await storage.upload(name, content),
+    });
+
+    const mine = (eventName, fileId, hashes) => {
+      head += 1n;
+      logs.push({
+        eventName,
+        blockNumber: head,
+        logIndex: 0,
+        transactionHash: `0x${head}`,
+        args: { fileId, gateIPFSHash: '', by: '0x0000000000000000000000000000000000000002', ...hashes },
+      });
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fileverse-storage-'));
+      storage = new LocalStorageProvider({ directory });
+      logs = [];
+      head = 100n;
+      agent = new Agent({
+        chain: sepolia,
+        viemAccount: privateKeyToAccount(`0x${'11'.repeat(32)}`),
+        storageProvider: storage,
+        credentialStore: new MemoryCredentialStore(),
+        transactionBackend: new EOATransactionBackend(),
+        indexStore: new MemoryIndexStore(),
+      });
+      agent.publicClient = {
+        getBlockNumber: async () => head,
+        getBlock: async ({ blockNumber }) => ({ timestamp: 1700000000n + blockNumber }),
+        getContractEvents: async ({ eventName, fromBlock, toBlock }) =>
+          logs.filter(
+            (log) =>
+              log.eventName === eventName &&
+              log.blockNumber >= fromBlock &&
+              log.blockNumber <= toBlock
+          ),
+      };
+      agent.safeAccount = { address: agent.owner };
+      agent.namespace = 'index-sepolia';
+      agent.portal = { portalAddress: '0x0000000000000000000000000000000000000001' };
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should index new and edited files incrementally', async () => {
+      mine('AddedFile', 0n, await upload('report.md', 'Revenue grew'));
+      mine('AddedFile', 1n, await upload('notes.md', 'Hiring plans'));
+      expect(await agent.syncIndex()).to.include({ syncedBlock: '102', indexed: 2, total: 2 });
+      expect((await agent.searchFiles('revenue'))[0]).to.include({
+        fileId: '0',
+        name: 'report.md',
+        createdAt: 1700000101,
+      });
+
+      mine('EditedFile', 0n, await upload('report.md', 'Costs fell'));
+      mine('EditedFile', 1n, { metadataIPFSHash: 'deleted', contentIPFSHash: 'deleted' });
+      expect(await agent.syncIndex()).to.include({ indexed: 2, total: 2 });
+      expect(await agent.searchFiles('revenue')).to.be.empty;
+      expect((await agent.searchFiles('costs'))[0]).to.include({
+        version: 1,
+        createdAt: 1700000101,
+        updatedAt: 1700000103,
+      });
+      expect(await agent.searchFiles('hiring')).to.be.empty;
+      expect(await agent.syncIndex()).to.include({ indexed: 0 });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { privateKeyToAccount } from 'viem/accounts';
+import { sepolia } from 'viem/chains';
+import { Agent, LocalStorageProvider, EOATransactionBackend } from '../index.js';
+import { MemoryCredentialStore } from '../credentials/index.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const fileLog = (blockNumber, logIndex, eventName = 'AddedFile') => ({
+  eventName,
+  blockNumber: BigInt(blockNumber),
+  logIndex,
+  transactionHash: `0x${blockNumber}`,
+  args: {
+    fileId: 0n,
+    metadataIPFSHash: 'metadata',
+    contentIPFSHash: 'content',
+    gateIPFSHash: '',
+    by: '0x0000000000000000000000000000000000000002',
+  },
+});
+
+const collaboratorLog = (blockNumber, logIndex, eventName = 'AddedCollaborator') => ({
+  eventName,
+  blockNumber: BigInt(blockNumber),
+  logIndex,
+  transactionHash: `0x${blockNumber}`,
+  args: { account: '0x0000000000000000000000000000000000000003' },
+});
+
+// Stands in for the viem public client: logs are "mined" by pushing them to
+// chain, and the subscription is driven through watcher
+const createPublicClient = () => {
+  const client = {
+    pollingInterval: 10,
+    head: 0n,
+    chain: [],
+    unwatched: 0,
+    getBlockNumber: async () => client.head,
+    getContractEvents: async ({ fromBlock, toBlock }) =>
+      client.chain.filter(
+        (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      ),
+    watchContractEvent: (options) => {
+      client.watcher = options;
+      return () => client.unwatched++;
+    },
+    mine: (...logs) => {
+      client.chain.push(...logs);
+      client.head = logs[logs.length - 1].blockNumber;
+      return logs;
+    },
+  };
+  return client;
+};
+
+describe('watchPortalEvents', () => {
+  let agent;
+  let publicClient;
+
+  beforeEach(async () => {
+    publicClient = createPublicClient();
+    agent = new Agent({
+      chain: sepolia,
+      viemAccount: privateKeyToAccount(`0x${'11'.repeat(32)}`),
+      storageProvider: new LocalStorageProvider(),
+      credentialStore: new MemoryCredentialStore(),
+      transactionBackend: new EOATransactionBackend(),
+      retry: { retries: 0 },
+    });
+    agent.publicClient = publicClient;
+    agent.safeAccount = { address: agent.owner };
+    agent.namespace = 'watch-sepolia';
+    agent.portal = { portalAddress: '0x0000000000000000000000000000000000000001' };
+  });
+
+  const collect = (options) => {
+    const controller = new AbortController();
+    const events = [];
+    const done = (async () => {
+      for await (const event of agent.watchPortalEvents({
+        ...options,
+        signal: controller.signal,
+      })) {
+        events.push(event);
+      }
+    })();
+    return {
+      events,
+      stop: async () => {
+        controller.abort();
+        await done;
+      },
+    };
+  };
+
+  it('should yield past and new events in order, once each', async () => {
+    publicClient.mine(fileLog(1, 0), collaboratorLog(2, 0, 'RegisteredCollaboratorKeys'));
+    const watch = collect({ fromBlock: 0 });
+    await sleep(20);
+    const logs = publicClient.mine(fileLog(3, 1, 'EditedFile'));
+    publicClient.watcher.onLogs([fileLog(1, 0), ...logs]);
+    await sleep(20);
+    await watch.stop();
+
+    expect(watch.events.map((event) => event.event)).to.deep.equal([
+      'AddedFile',
+      'EditedFile',
+    ]);
+    expect(watch.events[1]).to.include({
+      fileId: 0n,
+      metadataIpfsHash: 'metadata',
+      blockNumber: 3n,
+      deleted: false,
+    });
+    expect(publicClient.unwatched).to.equal(1);
+  });
+
+  it('should yield past events before logs delivered while catching up', async () => {
+    publicClient.mine(fileLog(1, 0), collaboratorLog(2, 0));
+    // Past logs are only returned once the subscription has delivered a newer one
+    let release;
+    const fetched = new Promise((resolve) => {
+      release = resolve;
+    });
+    const getContractEvents = publicClient.getContractEvents;
+    publicClient.getContractEvents = async (options) => {
+      await fetched;
+      return getContractEvents(options);
+    };
+    const watch = collect({ fromBlock: 0, cursor: 'catch-up' });
+    await sleep(20);
+    publicClient.watcher.onLogs([fileLog(3, 0, 'EditedFile')]);
+    release();
+    await sleep(20);
+    await watch.stop();
+
+    expect(watch.events.map((event) => event.blockNumber)).to.deep.equal([1n, 2n, 3n]);
+    expect(agent.getWatchCursor('catch-up')).to.deep.equal({
+      blockNumber: '3',
+      logIndex: 0,
+    });
+  });
+
+  it('should fall back to polling when the subscription fails', async () => {
+    const watch = collect({});
+    await sleep(20);
+    publicClient.watcher.onError(new Error('filter not found'));
+    publicClient.mine(collaboratorLog(4, 0, 'RemovedCollaborator'));
+    await sleep(50);
+    await watch.stop();
+
+    expect(watch.events.map((event) => event.event)).to.deep.equal([
+      'RemovedCollaborator',
+    ]);
+    expect(publicClient.unwatched).to.equal(1);
+  });
+
+  it('should resume from a saved cursor', async () => {
+    publicClient.mine(fileLog(1, 0), collaboratorLog(2, 0));
+    const first = collect({ fromBlock: 0, cursor: 'pipeline' });
+    await sleep(20);
+    await first.stop();
+    expect(first.events).to.have.length(2);
+    expect(agent.getWatchCursor('pipeline')).to.deep.equal({
+      blockNumber: '2',
+      logIndex: 0,
+    });
+
+    publicClient.mine(fileLog(5, 0, 'EditedFile'));
+    const second = collect({ cursor: 'pipeline' });
+    await sleep(20);
+    await second.stop();
+    expect(second.events.map((event) => event.blockNumber)).to.deep.equal([5n]);
+  });
+});
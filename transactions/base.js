@@ -0,0 +1,19 @@
+class BaseTransactionBackend {
+  // Prepares the backend for an agent and returns the account that sends
+  // calls to portals (msg.sender for the Portal contract)
+  async setup(agent) {
+    throw new Error('Method not implemented');
+  }
+
+  // Sends contract calls ({ to, abi, functionName, args }) and returns a hash
+  async sendCalls(calls) {
+    throw new Error('Method not implemented');
+  }
+
+  // Resolves with { logs, receipt } once the calls of a hash are included
+  async waitForReceipt(hash) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export { BaseTransactionBackend };
@@ -0,0 +1,123 @@
+import { http } from "viem";
+import {
+  createPaymasterClient,
+  entryPoint07Address,
+  formatUserOperationRequest,
+  getUserOperationHash,
+} from "viem/account-abstraction";
+import { toSafeSmartAccount } from "permissionless/accounts";
+import { createSmartAccountClient } from "permissionless";
+import { BaseTransactionBackend } from "./base.js";
+
+// Sends calls as ERC-4337 user operations from a Safe smart account owned by
+// the agent's viem account, through any bundler and optional paymaster.
+class BundlerTransactionBackend extends BaseTransactionBackend {
+  constructor({ bundlerUrl, paymasterUrl } = {}) {
+    super();
+    if (!bundlerUrl) {
+      throw new Error("Bundler URL is required");
+    }
+    this.bundlerUrl = bundlerUrl;
+    this.paymasterUrl = paymasterUrl;
+    this.withRetry = (operation) => operation();
+  }
+
+  entryPoint() {
+    return {
+      address: entryPoint07Address,
+      version: "0.7",
+    };
+  }
+
+  getBundlerUrl(chain) {
+    return this.bundlerUrl;
+  }
+
+  createPaymaster() {
+    if (!this.paymasterUrl) {
+      return undefined;
+    }
+    return createPaymasterClient({ transport: http(this.paymasterUrl) });
+  }
+
+  userOperationConfig() {
+    return undefined;
+  }
+
+  async setup(agent) {
+    this.chainId = agent.chain.id;
+    this.withRetry = (operation, options) => agent.withRetry(operation, options);
+    this.rpcUrl = this.getBundlerUrl(agent.chain);
+    this.paymasterClient = this.createPaymaster();
+    this.account = await toSafeSmartAccount({
+      client: agent.publicClient,
+      entryPoint: this.entryPoint(),
+      owners: [agent.viemAccount],
+      version: "1.4.1",
+    });
+    this.smartAccountClient = createSmartAccountClient({
+      account: this.account,
+      chain: agent.chain,
+      client: agent.publicClient,
+      paymaster: this.paymasterClient,
+      bundlerTransport: http(this.rpcUrl),
+      userOperation: this.userOperationConfig(),
+    });
+    return this.account;
+  }
+
+  // The user operation is signed once and the same operation resubmitted on
+  // failure, so a retry after a timeout can't execute the calls twice.
+  async sendCalls(calls) {
+    const prepared = await this.smartAccountClient.prepareUserOperation({
+      calls,
+    });
+    const userOperation = {
+      ...prepared,
+      signature: await this.account.signUserOperation(prepared),
+    };
+    const entryPoint = this.entryPoint();
+    const hash = getUserOperationHash({
+      userOperation,
+      chainId: this.chainId,
+      entryPointAddress: entryPoint.address,
+      entryPointVersion: entryPoint.version,
+    });
+    await this.withRetry(
+      async () => {
+        try {
+          await this.smartAccountClient.request(
+            {
+              method: "eth_sendUserOperation",
+              params: [
+                formatUserOperationRequest(userOperation),
+                entryPoint.address,
+              ],
+            },
+            { retryCount: 0 }
+          );
+        } catch (error) {
+          // An earlier attempt reached the bundler after all
+          if (!(await this.isKnown(hash))) throw error;
+        }
+      },
+      { label: "Sending user operation" }
+    );
+    return hash;
+  }
+
+  async isKnown(hash) {
+    try {
+      await this.smartAccountClient.getUserOperation({ hash });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async waitForReceipt(hash) {
+    return this.smartAccountClient.waitForUserOperationReceipt({ hash });
+  }
+}
+
+export { BundlerTransactionBackend };
@@ -0,0 +1,83 @@
+import { BaseTransactionBackend } from "./base.js";
+import { TransactionError } from "./errors.js";
+
+// Sends calls as plain transactions from the agent's viem account, which
+// pays its own gas. Calls are sent one after another, so unlike a user
+// operation a batch is not atomic.
+class EOATransactionBackend extends BaseTransactionBackend {
+  constructor() {
+    super();
+    this.receipts = new Map();
+  }
+
+  async setup(agent) {
+    this.publicClient = agent.publicClient;
+    this.walletClient = agent.walletClient;
+    this.account = agent.viemAccount;
+    return this.account;
+  }
+
+  // Stops at the first call that fails. Calls mined before it stay on
+  // chain, so they are listed in the TransactionError's `included`.
+  async sendCalls(calls) {
+    const included = [];
+    for (const [index, { to, abi, functionName, args }] of calls.entries()) {
+      let hash;
+      let receipt;
+      try {
+        hash = await this.walletClient.writeContract({
+          address: to,
+          abi,
+          functionName,
+          args,
+          account: this.account,
+        });
+        receipt = await this.publicClient.waitForTransactionReceipt({ hash });
+      } catch (error) {
+        throw new TransactionError(`Call ${index} (${functionName}) failed`, {
+          hash,
+          included,
+          cause: error,
+        });
+      }
+      if (receipt.status !== "success") {
+        throw new TransactionError(`Transaction ${hash} reverted`, {
+          hash,
+          receipt,
+          included,
+        });
+      }
+      included.push({ index, hash, receipt });
+    }
+    const receipts = included.map(({ receipt }) => receipt);
+    const hash = receipts[receipts.length - 1].transactionHash;
+    this.receipts.set(hash, receipts);
+    return hash;
+  }
+
+  // Receipts of calls sent by sendCalls are kept; other transactions are
+  // looked up and checked the same way
+  async waitForReceipt(hash) {
+    let receipts = this.receipts.get(hash);
+    if (!receipts) {
+      const receipt = await this.publicClient.waitForTransactionReceipt({
+        hash,
+      });
+      if (receipt.status !== "success") {
+        throw new TransactionError(`Transaction ${hash} reverted`, {
+          hash,
+          receipt,
+        });
+      }
+      receipts = [receipt];
+    }
+    this.receipts.delete(hash);
+    return {
+      logs: receipts.flatMap((receipt) => receipt.logs),
+      receipt: receipts[receipts.length - 1],
+      success: true,
+    };
+  }
+}
+
+export { EOATransactionBackend };
@@ -0,0 +1,16 @@
+// Thrown when calls can't be sent, revert, or their receipt isn't received.
+// `hash` is set once the calls were submitted, `receipt` once they were
+// included - a hash without a receipt means the outcome is still unknown.
+// Backends that send calls one by one set `included` to the calls that were
+// mined before the failed one, as { index, hash, receipt }.
+class TransactionError extends Error {
+  constructor(message, { hash, receipt, included, cause } = {}) {
+    super(message, { cause });
+    this.name = "TransactionError";
+    this.hash = hash;
+    this.receipt = receipt;
+    this.included = included;
+  }
+}
+
+export { TransactionError };
@@ -0,0 +1,21 @@
+import { BaseTransactionBackend } from "./base.js";
+import { BundlerTransactionBackend } from "./bundler.js";
+import { PimlicoTransactionBackend } from "./pimlico.js";
+import { EOATransactionBackend } from "./eoa.js";
+import { TransactionError } from "./errors.js";
+
+export {
+  BaseTransactionBackend,
+  BundlerTransactionBackend,
+  PimlicoTransactionBackend,
+  EOATransactionBackend,
+  TransactionError,
+};
+
+export default {
+  BaseTransactionBackend,
+  BundlerTransactionBackend,
+  PimlicoTransactionBackend,
+  EOATransactionBackend,
+  TransactionError,
+};
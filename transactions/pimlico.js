@@ -0,0 +1,34 @@
+import { http } from "viem";
+import { createPimlicoClient } from "permissionless/clients/pimlico";
+import { BundlerTransactionBackend } from "./bundler.js";
+
+// Pimlico serves as both bundler and paymaster, sponsoring the agent's gas
+class PimlicoTransactionBackend extends BundlerTransactionBackend {
+  constructor({ pimlicoAPIKey }) {
+    if (!pimlicoAPIKey) {
+      throw new Error("Pimlico API key is required");
+    }
+    super({ bundlerUrl: "https://api.pimlico.io/v2" });
+    this.pimlicoAPIKey = pimlicoAPIKey;
+  }
+
+  getBundlerUrl(chain) {
+    return `${this.bundlerUrl}/${chain.name.toLowerCase()}/rpc?apikey=${this.pimlicoAPIKey}`;
+  }
+
+  createPaymaster() {
+    return createPimlicoClient({
+      transport: http(this.rpcUrl),
+      entryPoint: this.entryPoint(),
+    });
+  }
+
+  userOperationConfig() {
+    return {
+      estimateFeesPerGas: async () =>
+        (await this.paymasterClient.getUserOperationGasPrice()).fast,
+    };
+  }
+}
+
+export { PimlicoTransactionBackend };